@@ -1,32 +1,49 @@
 import express from 'express';
-import { execSync, exec } from 'child_process';
-import { readFileSync, writeFileSync, copyFileSync, existsSync, mkdirSync, unlinkSync, writeFile, readdirSync } from 'fs';
-import { join, dirname } from 'path';
+import { execSync, exec, execFile, spawn, spawnSync } from 'child_process';
+import { createServer } from 'http';
+import { readFileSync, writeFileSync, copyFileSync, existsSync, mkdirSync, unlinkSync, readdirSync, renameSync, realpathSync, lstatSync, readlinkSync, statSync, appendFileSync, watchFile, openSync, readSync, closeSync } from 'fs';
+import { join, dirname, resolve, basename, sep } from 'path';
 import { fileURLToPath } from 'url';
 import { createInterface } from 'readline';
+import { createHash, randomBytes, scryptSync, timingSafeEqual, createCipheriv, createDecipheriv } from 'crypto';
+import { homedir, tmpdir } from 'os';
 import WebSocket, { WebSocketServer } from 'ws';
-import { setTimeout } from 'timers/promises';
+import { RE2JS } from 're2js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const CONFIG_PATH = join(__dirname, 'middleclaw.config.json');
-const ACTIONS_DIR = join(__dirname, '.middleclaw-actions');
+const JOBS_DIR = join(__dirname, '.middleclaw-jobs');
+const SESSIONS_DIR = join(__dirname, '.middleclaw-sessions');
+const RUNBOOKS_DIR = join(__dirname, '.middleclaw-runbooks');
+const AUDIT_LOG_PATH = join(__dirname, '.middleclaw-audit.jsonl');
 
 // ── CLI Flags ────────────────────────────────────────────────────────────────
 
 const args = process.argv.slice(2);
 const FLAG_YES = args.includes('-y') || args.includes('--yes');
 const FLAG_INTERACTIVE = args.includes('-i') || args.includes('--interactive');
+const CMD_VERIFY_AUDIT = args[0] === 'verify-audit';
+const CMD_CHAT = args[0] === 'chat';
 
 // ── Interactive Setup ────────────────────────────────────────────────────────
 
 const DEFAULTS = {
   port: 3333,
+  provider: 'ollama',
   ollama_url: 'http://localhost:11434',
   model: 'glm-4.7:cloud',
   openclaw_dir: '/opt/openclaw',
+  gateway_url: 'http://127.0.0.1:18789',
+  // Sibling services shown on the OpenClaw status dashboard and in the system prompt
+  services: {
+    Igor: 'http://localhost:3456/igor',
+    Frankenstein: 'http://localhost:3456/frankenstein',
+    DoctorClaw: 'http://localhost:3333',
+  },
   os: process.platform === 'win32' ? 'windows' : process.platform === 'darwin' ? 'macos' : 'linux',
   read_paths: ['/etc/', '/var/log/', '/var/lib/', '/tmp/', '/home/', '/opt/', '/usr/local/etc/', '/proc/cpuinfo', '/proc/meminfo', '/proc/loadavg', '/proc/version', '/proc/uptime', '/proc/net/'],
   write_paths: ['/tmp/'],
+  deny_paths: ['/etc/shadow', '/etc/gshadow', '/etc/sudoers', '/etc/sudoers.d/', '/root/.ssh/', '/home/*/.ssh/id_*', '/etc/ssh/ssh_host_*_key'],
 };
 
 function ask(rl, question, fallback) {
@@ -38,17 +55,166 @@ function ask(rl, question, fallback) {
   });
 }
 
-async function detectModels(ollamaUrl) {
+async function detectModels(provider, settings) {
   try {
-    const resp = await fetch(`${ollamaUrl}/api/tags`);
-    if (resp.ok) {
-      const data = await resp.json();
-      return (data.models || []).map(m => m.name);
+    return await LLM_PROVIDERS[provider].listModels(settings);
+  } catch {
+    return [];
+  }
+}
+
+// ── LLM Providers ────────────────────────────────────────────────────────────
+//
+// Each provider lists its models, starts a streaming chat request and turns
+// the response into normalized events, so /api/chat and the UI never see a
+// backend-specific format:
+//   { type: 'delta', content }  — a piece of assistant text
+//   { type: 'tool_call', call } — a complete tool call, { function: { name, arguments: {...} } }
+//   { type: 'usage', promptTokens, completionTokens } — when the backend reports token counts
+//   { type: 'done' }
+
+// Context size used when neither the config nor the backend gives one
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+function parseToolArgs(args) {
+  if (typeof args !== 'string') return args || {};
+  try { return JSON.parse(args); } catch { return {}; }
+}
+
+async function* readLines(resp) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      yield* lines;
     }
-  } catch {}
-  return [];
+    if (buffer) yield buffer;
+  } finally {
+    reader.cancel().catch(() => {});
+  }
 }
 
+function jsonHeaders(apiKey) {
+  return { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) };
+}
+
+const LLM_PROVIDERS = {
+  ollama: {
+    label: 'Ollama',
+    defaultUrl: 'http://localhost:11434',
+    async listModels({ url }) {
+      const resp = await fetch(`${url}/api/tags`, { signal: AbortSignal.timeout(5000) });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      return ((await resp.json()).models || []).map(m => m.name);
+    },
+    // Ollama allocates memory for the whole window, so a model's full trained
+    // context is only used when its Modelfile asks for it via num_ctx
+    async contextLength({ url, model }) {
+      const resp = await fetch(`${url}/api/show`, {
+        method: 'POST',
+        headers: jsonHeaders(),
+        body: JSON.stringify({ model }),
+        signal: AbortSignal.timeout(5000),
+      });
+      if (!resp.ok) return null;
+      const info = await resp.json();
+      const numCtx = /(?:^|\n)\s*num_ctx\s+(\d+)/.exec(info.parameters || '');
+      if (numCtx) return Number(numCtx[1]);
+      const trained = Object.entries(info.model_info || {}).find(([k]) => k.endsWith('.context_length'))?.[1];
+      return trained ? Math.min(trained, DEFAULT_CONTEXT_WINDOW) : null;
+    },
+    chat({ url, model, messages, tools, contextWindow, signal }) {
+      return fetch(`${url}/api/chat`, {
+        method: 'POST',
+        headers: jsonHeaders(),
+        body: JSON.stringify({
+          model, messages, stream: true,
+          ...(tools ? { tools } : {}),
+          // Without this Ollama silently truncates the prompt at its own default
+          ...(contextWindow ? { options: { num_ctx: contextWindow } } : {}),
+        }),
+        signal,
+      });
+    },
+    toolsUnsupported: errText => /does not support tools/i.test(errText),
+    async *streamEvents(resp) {
+      for await (const line of readLines(resp)) {
+        if (!line.trim()) continue;
+        let parsed;
+        try { parsed = JSON.parse(line); } catch { continue; }
+        if (parsed.error) throw new Error(parsed.error);
+        if (parsed.message?.content) yield { type: 'delta', content: parsed.message.content };
+        for (const call of parsed.message?.tool_calls || []) {
+          yield { type: 'tool_call', call: { function: { name: call.function?.name, arguments: parseToolArgs(call.function?.arguments) } } };
+        }
+        if (parsed.done) {
+          if (parsed.prompt_eval_count) yield { type: 'usage', promptTokens: parsed.prompt_eval_count, completionTokens: parsed.eval_count || 0 };
+          break;
+        }
+      }
+      yield { type: 'done' };
+    },
+  },
+
+  // llama.cpp server, vLLM, LM Studio and anything else speaking /v1/chat/completions
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultUrl: 'http://localhost:8000/v1',
+    async listModels({ url, apiKey }) {
+      const resp = await fetch(`${url}/models`, { headers: jsonHeaders(apiKey), signal: AbortSignal.timeout(5000) });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      return ((await resp.json()).data || []).map(m => m.id);
+    },
+    // vLLM reports max_model_len, LM Studio and OpenRouter context_length, llama.cpp its training context
+    async contextLength({ url, apiKey, model }) {
+      const resp = await fetch(`${url}/models`, { headers: jsonHeaders(apiKey), signal: AbortSignal.timeout(5000) });
+      if (!resp.ok) return null;
+      const m = ((await resp.json()).data || []).find(entry => entry.id === model);
+      return m?.max_model_len ?? m?.context_length ?? m?.meta?.n_ctx_train ?? null;
+    },
+    chat({ url, apiKey, model, messages, tools, signal }) {
+      return fetch(`${url}/chat/completions`, {
+        method: 'POST',
+        headers: jsonHeaders(apiKey),
+        body: JSON.stringify({ model, messages, stream: true, ...(tools ? { tools } : {}) }),
+        signal,
+      });
+    },
+    // llama.cpp without --jinja, vLLM without --enable-auto-tool-choice, ...
+    toolsUnsupported: errText => /tool/i.test(errText) && /not support|unsupported|requires|enable-auto-tool-choice|--jinja/i.test(errText),
+    async *streamEvents(resp) {
+      // Tool calls arrive in fragments keyed by index; the arguments string is split across chunks
+      const calls = [];
+      for await (const line of readLines(resp)) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') break;
+        let parsed;
+        try { parsed = JSON.parse(data); } catch { continue; }
+        if (parsed.error) throw new Error(parsed.error.message || JSON.stringify(parsed.error));
+        if (parsed.usage?.prompt_tokens) yield { type: 'usage', promptTokens: parsed.usage.prompt_tokens, completionTokens: parsed.usage.completion_tokens || 0 };
+        const delta = parsed.choices?.[0]?.delta || {};
+        if (delta.content) yield { type: 'delta', content: delta.content };
+        for (const frag of delta.tool_calls || []) {
+          const call = calls[frag.index ?? 0] ||= { name: '', arguments: '' };
+          call.name ||= frag.function?.name || '';
+          call.arguments += frag.function?.arguments || '';
+        }
+      }
+      for (const call of calls.filter(Boolean)) {
+        yield { type: 'tool_call', call: { function: { name: call.name, arguments: parseToolArgs(call.arguments) } } };
+      }
+      yield { type: 'done' };
+    },
+  },
+};
+
 // ── Ollama Installation Helpers ──────────────────────────────────────────────
 
 const LOCAL_MODEL_DEFAULT = 'llama3.1';
@@ -381,6 +547,86 @@ function validateOpenclawDir(dir) {
   return result;
 }
 
+// ── Admin Password ───────────────────────────────────────────────────────────
+//
+// The admin password is stored only as a salted scrypt hash under
+// `auth.password_hash`. API tokens for scripts live under `auth.tokens`,
+// also hashed — the plaintext is shown once when the token is created.
+
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// Like ask(), but doesn't echo what is typed
+function askSecret(rl, question) {
+  return new Promise(resolve => {
+    const write = rl._writeToOutput;
+    rl.question(`  ${question}: `, answer => {
+      rl._writeToOutput = write;
+      rl.output.write('\n');
+      resolve(answer);
+    });
+    rl._writeToOutput = () => {};
+  });
+}
+
+async function askNewPassword(rl, { allowKeep = false } = {}) {
+  for (;;) {
+    const password = await askSecret(rl, allowKeep ? 'Admin password (Enter to keep current)' : 'Admin password');
+    if (!password && allowKeep) return null;
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      console.log(`  Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+      continue;
+    }
+    if (await askSecret(rl, 'Confirm admin password') === password) return password;
+    console.log('  Passwords did not match, try again.');
+  }
+}
+
+/**
+ * Make sure the config has an admin password. Interactive terminals are
+ * prompted for one; unattended starts (-y, no TTY) get a random password that
+ * is printed once. Existing configs without a password are upgraded the same way.
+ */
+async function ensureAdminPassword(cfg) {
+  if (cfg.auth?.password_hash) return cfg;
+  let password;
+  if (!FLAG_YES && process.stdin.isTTY) {
+    console.log('');
+    console.log('  MiddleClaw requires an admin password to protect the web UI and API.');
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    password = await askNewPassword(rl);
+    rl.close();
+  } else {
+    password = randomBytes(12).toString('base64url');
+    console.log('');
+    console.log('  ─────────────────────────────────');
+    console.log(`  Generated admin password: ${password}`);
+    console.log('  It will not be shown again. Change it in Settings → Access,');
+    console.log('  or run with -i to set a new one.');
+    console.log('  ─────────────────────────────────');
+  }
+  cfg.auth = { ...cfg.auth, password_hash: hashPassword(password), tokens: cfg.auth?.tokens || [] };
+  writeFileSync(CONFIG_PATH, JSON.stringify(cfg, null, 2) + '\n', 'utf-8');
+  return cfg;
+}
+
 async function runSetup() {
   const configExists = existsSync(CONFIG_PATH);
 
@@ -396,7 +642,7 @@ async function runSetup() {
     }
 
     if (configExists) {
-      const existing = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8'));
+      const existing = loadConfigFile();
       console.log('  Skipping setup (-y flag), using existing config.');
       // Validate the configured OpenClaw directory
       const v = validateOpenclawDir(existing.openclaw_dir || DEFAULTS.openclaw_dir);
@@ -419,7 +665,7 @@ async function runSetup() {
     }
     console.log('  Skipping setup (-y flag), detecting OpenClaw location...');
     const detectedDir = detectOpenclawDir();
-    const cfg = { ...DEFAULTS, openclaw_dir: detectedDir, read_paths: [...DEFAULTS.read_paths, detectedDir], write_paths: [...DEFAULTS.write_paths, process.cwd(), detectedDir] };
+    const cfg = { config_version: CONFIG_VERSION, ...DEFAULTS, openclaw_dir: detectedDir, openclaw_workspace_dir: join(detectedDir, 'workspace'), read_paths: [...DEFAULTS.read_paths, detectedDir], write_paths: [...DEFAULTS.write_paths, process.cwd(), detectedDir] };
     const v = validateOpenclawDir(detectedDir);
     if (!v.exists) {
       console.log(`  ⚠  Warning: OpenClaw directory "${detectedDir}" does not exist. Run with -i to configure manually.`);
@@ -429,7 +675,7 @@ async function runSetup() {
   }
 
   if (!FLAG_INTERACTIVE && configExists) {
-    const existing = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8'));
+    const existing = loadConfigFile();
     console.log(`  Loaded config from ${CONFIG_PATH}`);
     // Validate the configured OpenClaw directory
     const v = validateOpenclawDir(existing.openclaw_dir || DEFAULTS.openclaw_dir);
@@ -461,56 +707,81 @@ async function runSetup() {
 
   const rl = createInterface({ input: process.stdin, output: process.stdout });
 
-  // Check Ollama installation
-  if (!isOllamaInstalled()) {
-    console.log('  Ollama is not installed. MiddleClaw requires Ollama to function.');
-    console.log('');
-    const installAnswer = await ask(rl, 'Install Ollama now? (y/n)', 'y');
-    if (installAnswer.toLowerCase().startsWith('y')) {
-      installOllamaCli();
-    } else {
+  // LLM provider — Ollama (default) or an OpenAI-compatible server such as llama.cpp or vLLM
+  console.log('  MiddleClaw can talk to Ollama or to any OpenAI-compatible server (llama.cpp, vLLM, ...).');
+  const provider = (await ask(rl, 'LLM provider (ollama/openai)', DEFAULTS.provider)).toLowerCase() === 'openai' ? 'openai' : 'ollama';
+  console.log('');
+
+  if (provider === 'ollama') {
+    // Check Ollama installation
+    if (!isOllamaInstalled()) {
+      console.log('  Ollama is not installed. MiddleClaw requires Ollama to function.');
       console.log('');
-      console.log('  Ollama is required. Install from: https://ollama.com');
-      console.log('  You can continue setup, but MiddleClaw will not work until Ollama is installed.');
+      const installAnswer = await ask(rl, 'Install Ollama now? (y/n)', 'y');
+      if (installAnswer.toLowerCase().startsWith('y')) {
+        installOllamaCli();
+      } else {
+        console.log('');
+        console.log('  Ollama is required. Install from: https://ollama.com');
+        console.log('  You can continue setup, but MiddleClaw will not work until Ollama is installed.');
+      }
+      console.log('');
+    } else {
+      // Already installed — check if up to date
+      await checkOllamaUpdate(rl);
     }
-    console.log('');
-  } else {
-    // Already installed — check if up to date
-    await checkOllamaUpdate(rl);
   }
 
   // Port
   const port = parseInt(await ask(rl, 'Server port', DEFAULTS.port), 10) || DEFAULTS.port;
 
-  // Ollama URL
-  const ollamaUrl = await ask(rl, 'Ollama URL', DEFAULTS.ollama_url);
+  let ollamaUrl = DEFAULTS.ollama_url;
+  let openaiUrl = '';
+  let openaiApiKey = '';
+  let model;
+  if (provider === 'ollama') {
+    // Ollama URL
+    ollamaUrl = await ask(rl, 'Ollama URL', DEFAULTS.ollama_url);
 
-  // Ask about Ollama cloud service
-  console.log('');
-  console.log('  Ollama can run models locally or via the cloud service.');
-  console.log('  The default model (glm-4.7:cloud) requires an Ollama cloud subscription.');
-  console.log('  Without cloud, models run locally on your hardware.');
-  const cloudAnswer = await ask(rl, 'Do you have Ollama cloud service? (y/n)', 'n');
-  const hasCloud = cloudAnswer.toLowerCase().startsWith('y');
-  const defaultModel = hasCloud ? DEFAULTS.model : LOCAL_MODEL_DEFAULT;
+    // Ask about Ollama cloud service
+    console.log('');
+    console.log('  Ollama can run models locally or via the cloud service.');
+    console.log('  The default model (glm-4.7:cloud) requires an Ollama cloud subscription.');
+    console.log('  Without cloud, models run locally on your hardware.');
+    const cloudAnswer = await ask(rl, 'Do you have Ollama cloud service? (y/n)', 'n');
+    const hasCloud = cloudAnswer.toLowerCase().startsWith('y');
+    const defaultModel = hasCloud ? DEFAULTS.model : LOCAL_MODEL_DEFAULT;
 
-  // Try to ensure Ollama is running for model detection
-  await ensureOllamaRunning(ollamaUrl);
+    // Try to ensure Ollama is running for model detection
+    await ensureOllamaRunning(ollamaUrl);
 
-  // Detect available models
-  console.log('');
-  console.log('  Checking for available Ollama models...');
-  const models = await detectModels(ollamaUrl);
-  let model;
-  if (models.length > 0) {
-    console.log(`  Found ${models.length} model(s): ${models.join(', ')}`);
-    model = await ask(rl, 'Model to use', models.includes(defaultModel) ? defaultModel : models[0]);
+    // Detect available models
+    console.log('');
+    console.log('  Checking for available Ollama models...');
+    const models = await detectModels('ollama', { url: ollamaUrl });
+    if (models.length > 0) {
+      console.log(`  Found ${models.length} model(s): ${models.join(', ')}`);
+      model = await ask(rl, 'Model to use', models.includes(defaultModel) ? defaultModel : models[0]);
+    } else {
+      console.log('  Could not reach Ollama or no models found.');
+      if (!hasCloud) {
+        console.log(`  Tip: Pull a model with: ollama pull ${defaultModel}`);
+      }
+      model = await ask(rl, 'Model to use', defaultModel);
+    }
   } else {
-    console.log('  Could not reach Ollama or no models found.');
-    if (!hasCloud) {
-      console.log(`  Tip: Pull a model with: ollama pull ${defaultModel}`);
+    openaiUrl = (await ask(rl, 'OpenAI-compatible base URL', LLM_PROVIDERS.openai.defaultUrl)).replace(/\/+$/, '');
+    openaiApiKey = await ask(rl, 'API key (Enter for none)', '');
+    console.log('');
+    console.log(`  Checking for available models at ${openaiUrl}...`);
+    const models = await detectModels('openai', { url: openaiUrl, apiKey: openaiApiKey });
+    if (models.length > 0) {
+      console.log(`  Found ${models.length} model(s): ${models.join(', ')}`);
+      model = await ask(rl, 'Model to use', models[0]);
+    } else {
+      console.log('  Could not reach the server or no models found.');
+      model = await ask(rl, 'Model to use', '');
     }
-    model = await ask(rl, 'Model to use', defaultModel);
   }
 
   // OS
@@ -545,20 +816,42 @@ async function runSetup() {
   const extraWrite = await ask(rl, 'Additional writable paths (comma-separated, or Enter to skip)', '');
   const extraWritePaths = extraWrite ? extraWrite.split(',').map(p => p.trim()).filter(Boolean) : [];
 
+  // Admin password — keep the existing one (and any API tokens) when reconfiguring
+  let previous = {};
+  try { previous = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')); } catch {}
+  const previousAuth = previous.auth || null;
+  console.log('');
+  const password = await askNewPassword(rl, { allowKeep: !!previousAuth?.password_hash });
+
   rl.close();
 
+  // Credentials go to the secret store; keys still in an old config move there too
+  openSecretStore(previous.secrets_encryption);
+  moveSecretsOutOfConfig(previous);
+  if (provider === 'openai') setSecret('openai_api_key', openaiApiKey);
+
   // Build config
   const readPaths = [...DEFAULTS.read_paths, openclawDir, ...extraReadPaths];
   const writePaths = [...DEFAULTS.write_paths, process.cwd(), openclawDir, ...extraWritePaths];
   // Deduplicate
   const cfg = {
+    config_version: CONFIG_VERSION,
     port,
+    provider,
     ollama_url: ollamaUrl,
+    ...(provider === 'openai' ? { openai_url: openaiUrl } : {}),
     model,
     openclaw_dir: openclawDir,
+    openclaw_workspace_dir: join(openclawDir, 'workspace'),
     os,
     read_paths: [...new Set(readPaths)],
     write_paths: [...new Set(writePaths)],
+    deny_paths: DEFAULTS.deny_paths,
+    ...(previous.secrets_encryption ? { secrets_encryption: previous.secrets_encryption } : {}),
+    auth: {
+      password_hash: password ? hashPassword(password) : previousAuth.password_hash,
+      tokens: previousAuth?.tokens || [],
+    },
   };
 
   writeFileSync(CONFIG_PATH, JSON.stringify(cfg, null, 2) + '\n', 'utf-8');
@@ -569,228 +862,2445 @@ async function runSetup() {
   return cfg;
 }
 
-// ── Boot ──────────────────────────────────────────────────────────────────────
-
-async function boot() {
+// ── Line Diff ────────────────────────────────────────────────────────────────
 
-const config = await runSetup();
+const MAX_DIFF_LINES = 20000;
+const MAX_DIFF_EDITS = 4000;
 
-const app = express();
-const PORT = process.env.PORT || config.port || 3333;
-const OLLAMA_URL = process.env.OLLAMA_URL || config.ollama_url || 'http://localhost:11434';
-const MODEL = process.env.DOCTORCLAW_MODEL || config.model || 'glm-4.7:cloud';
-const OPENCLAW_DIR = config.openclaw_dir || '/opt/openclaw';
-const OPENCLAW_WORKSPACE_DIR = config.openclaw_workspace_dir || join(OPENCLAW_DIR, 'workspace');
-const OS_TYPE = config.os || 'linux';
-const BACKUP_DIR = join(__dirname, '.middleclaw-backups');
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
 
-// ── Async Action Queue ─────────────────────────────────────────────────────
+/**
+ * Line-based Myers diff. Returns a list of { op, line } where op is ' ', '-'
+ * or '+', or null if the inputs are too large or too different to diff cheaply.
+ */
+function diffLines(a, b) {
+  // Strip the common prefix and suffix first — config edits are usually small
+  let pre = 0;
+  while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+  let suf = 0;
+  while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+  const am = a.slice(pre, a.length - suf);
+  const bm = b.slice(pre, b.length - suf);
+  const n = am.length, m = bm.length;
+  if (n + m > MAX_DIFF_LINES) return null;
+
+  const offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+  let found = n === 0 && m === 0;
+  for (let d = 0; !found && d <= n + m; d++) {
+    if (d > MAX_DIFF_EDITS) return null;
+    // Only the diagonals reachable in this round are needed for backtracking
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && am[x] === bm[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) { found = true; break; }
+    }
+  }
 
-const pendingActions = new Map();
-const clientConnections = new Map();
+  const ops = [];
+  let x = n, y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const at = k => vd[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { ops.push({ op: ' ', line: am[x - 1] }); x--; y--; }
+    if (d > 0) {
+      if (x === prevX) ops.push({ op: '+', line: bm[y - 1] });
+      else ops.push({ op: '-', line: am[x - 1] });
+    }
+    x = prevX; y = prevY;
+  }
+  ops.reverse();
 
-function generateActionId() {
-  return 'act_' + Date.now() + '_' + Math.random().toString(36).slice(2, 8);
+  return [
+    ...a.slice(0, pre).map(line => ({ op: ' ', line })),
+    ...ops,
+    ...a.slice(a.length - suf).map(line => ({ op: ' ', line })),
+  ];
 }
 
-function getActionOutputPath(actionId) {
-  return join(ACTIONS_DIR, `${actionId}.txt`);
-}
+/**
+ * Produce a unified diff (like `diff -u`) between two texts. Returns '' when
+ * they are identical and null when the diff would be too expensive.
+ */
+function unifiedDiff(oldText, newText, oldLabel, newLabel, context = 3) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  if (!ops) return null;
+  const changed = ops.map((o, i) => o.op !== ' ' ? i : -1).filter(i => i >= 0);
+  if (!changed.length) return '';
+
+  // Line numbers (0-based) in the old and new file before each op
+  const pos = [];
+  let ai = 0, bi = 0;
+  for (const o of ops) {
+    pos.push({ a: ai, b: bi });
+    if (o.op !== '+') ai++;
+    if (o.op !== '-') bi++;
+  }
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  for (const i of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && i - last.end <= context * 2) last.end = i;
+    else hunks.push({ start: i, end: i });
+  }
 
-function getActionErrorPath(actionId) {
-  return join(ACTIONS_DIR, `${actionId}.err`);
+  const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const h of hunks) {
+    const start = Math.max(0, h.start - context);
+    const end = Math.min(ops.length, h.end + context + 1);
+    const slice = ops.slice(start, end);
+    const aLen = slice.filter(o => o.op !== '+').length;
+    const bLen = slice.filter(o => o.op !== '-').length;
+    const aStart = aLen ? pos[start].a + 1 : pos[start].a;
+    const bStart = bLen ? pos[start].b + 1 : pos[start].b;
+    out.push(`@@ -${aStart},${aLen} +${bStart},${bLen} @@`);
+    for (const o of slice) out.push(o.op + o.line);
+  }
+  return out.join('\n') + '\n';
 }
 
-// Poll for completed actions every 3 seconds
-async function pollCompletedActions() {
-  try {
-    if (!existsSync(ACTIONS_DIR)) return;
+// ── Shell Command Policy ─────────────────────────────────────────────────────
+//
+// Commands are tokenized the way a POSIX shell would see them — quotes and
+// escapes removed, split into pipelines, lists, subshells, redirections and
+// command substitutions — and every simple command that would run (including
+// ones nested in $(...), `...`, sh -c '...', sudo/env/xargs wrappers) is
+// evaluated against an ordered list of allow/deny rules. First match wins.
+
+const DEFAULT_COMMAND_POLICY = {
+  default: 'allow',
+  rules: [
+    { id: 'dynamic-executable', action: 'deny', dynamic: true, reason: 'The program to run is computed at runtime (variable or command substitution) and cannot be reviewed' },
+    { id: 'pipe-to-shell', action: 'deny', command: ['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish'], piped: true, reason: 'Piping into a shell runs code that was never shown for approval' },
+    { id: 'fork-bomb', action: 'deny', pattern: ':\\(\\)\\s*\\{', reason: 'Fork bomb' },
+    { id: 'rm-recursive-force', action: 'deny', command: 'rm', args: '(^|\\s)(-[a-zA-Z]*[rRf][a-zA-Z]*|--force|--recursive)(\\s|$)', reason: 'Recursive or forced delete' },
+    { id: 'rm-etc', action: 'deny', command: 'rm', args: '(^|\\s)/etc(/|\\s|$)', reason: 'Deletes system configuration' },
+    { id: 'disk-format', action: 'deny', command: ['mkfs', 'mkfs.*', 'mke2fs', 'mkswap', 'wipefs', 'fdisk', 'sfdisk', 'gdisk', 'parted', 'format'], reason: 'Formats or repartitions a disk' },
+    { id: 'dd-raw', action: 'deny', command: 'dd', args: '(^|\\s)(if|of)=', reason: 'Raw disk copy' },
+    { id: 'chmod-777-root', action: 'deny', command: 'chmod', args: '(^|\\s)0?777\\s+/', reason: 'Makes system paths world-writable' },
+    { id: 'chown-recursive-root', action: 'deny', command: 'chown', args: '(^|\\s)-[a-zA-Z]*R.*\\s/', reason: 'Recursively changes ownership of system paths' },
+    { id: 'write-block-device', action: 'deny', redirect: '^/dev/(sd|hd|vd|xvd|nvme|mmcblk|disk)', reason: 'Writes directly to a block device' },
+    { id: 'write-auth-files', action: 'deny', redirect: '^/etc/(passwd|shadow|group|gshadow|sudoers|fstab)$', reason: 'Overwrites authentication or mount configuration' },
+    { id: 'power-state', action: 'deny', command: ['shutdown', 'reboot', 'halt', 'poweroff'], reason: 'Shuts down or reboots the host' },
+    { id: 'init-runlevel', action: 'deny', command: ['init', 'telinit'], args: '^[06](\\s|$)', reason: 'Shuts down or reboots the host' },
+    { id: 'systemctl-power', action: 'deny', command: 'systemctl', args: '(^|\\s)(poweroff|halt|reboot|kexec)(\\s|$)', reason: 'Shuts down or reboots the host' },
+    { id: 'python-os-system', action: 'deny', command: ['python', 'python2', 'python3'], args: '-c.*import\\s+os.*system', reason: 'Runs shell commands through Python, bypassing review' },
+    { id: 'firewall-flush', action: 'deny', command: ['iptables', 'ip6tables'], args: '(^|\\s)(-F|--flush)(\\s|$)', reason: 'Flushes all firewall rules' },
+    { id: 'firewall-disable', action: 'deny', command: 'ufw', args: '^disable(\\s|$)', reason: 'Disables the firewall' },
+    { id: 'root-password', action: 'deny', command: 'passwd', args: '(^|\\s)root(\\s|$)', reason: 'Changes the root password' },
+    { id: 'delete-accounts', action: 'deny', command: ['userdel', 'groupdel'], reason: 'Deletes user or group accounts' },
+    { id: 'move-etc', action: 'deny', command: 'mv', args: '(^|\\s)/etc(/|\\s|$)', reason: 'Moves system configuration' },
+    { id: 'truncate-etc', action: 'deny', command: 'truncate', args: '(^|\\s)/etc/', reason: 'Truncates system configuration' },
+  ],
+};
 
-    const files = readdirSync(ACTIONS_DIR);
-    const clients = new Map(clientConnections); // Snapshot
+// Programs that run another program given in their arguments. The value lists
+// options that consume the following argument, so the wrapped command is found.
+const COMMAND_WRAPPERS = {
+  sudo: ['-u', '-g', '-C', '-h', '-p', '-U', '-r', '-t', '-D'],
+  doas: ['-u', '-C'],
+  env: ['-u', '-C', '-S'],
+  nohup: [],
+  nice: ['-n'],
+  ionice: ['-c', '-n', '-t'],
+  timeout: ['-s', '-k', '--signal', '--kill-after'],
+  time: ['-f', '-o'],
+  stdbuf: ['-i', '-o', '-e'],
+  command: [],
+  exec: ['-a'],
+  builtin: [],
+  xargs: ['-I', '-L', '-n', '-P', '-s', '-d', '-E', '-a'],
+  watch: ['-n', '-d'],
+  busybox: [],
+  chroot: [],
+  setsid: [],
+  strace: ['-e', '-o', '-p', '-s'],
+};
 
-    for (const file of files) {
-      if (!file.endsWith('.txt') && !file.endsWith('.err')) continue;
+const SHELL_INTERPRETERS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish', 'ash']);
 
-      const actionId = file.replace(/\.(txt|err)$/, '');
-      const action = pendingActions.get(actionId);
-      if (!action) continue;
+function newShellCommand(piped) {
+  return { words: [], redirects: [], piped };
+}
 
-      const success = file.endsWith('.txt');
-      const filePath = join(ACTIONS_DIR, file);
-      const outputPath = getActionOutputPath(actionId);
-      const errorPath = getActionErrorPath(actionId);
+/**
+ * Parse a shell command into the flat list of simple commands it would run.
+ * Never throws: malformed input (unterminated quotes, stray parens) is parsed
+ * leniently. Words are { text, dynamic } where text has quotes removed and
+ * dynamic marks anything only known at runtime ($VAR, $(...), `...`).
+ * @param {string} src
+ * @returns {{ words: object[], redirects: object[], piped: boolean }[]}
+ */
+function parseShellCommands(src) {
+  const st = { src: String(src), commands: [], heredocs: [] };
+  parseShellList(st, 0, null);
+  return st.commands;
+}
 
-      let result;
-      try {
-        result = readFileSync(filePath, 'utf-8');
-      } catch {
-        continue; // File still being written
+function parseShellList(st, i, end) {
+  const { src } = st;
+  let cur = newShellCommand(false);
+  const finish = piped => {
+    if (cur.words.length || cur.redirects.length) st.commands.push(cur);
+    cur = newShellCommand(piped);
+  };
+  while (i < src.length) {
+    const c = src[i];
+    const next = src[i + 1];
+    if (end && c === end) { finish(false); return i + 1; }
+    if (c === ' ' || c === '\t' || c === '\r') { i++; continue; }
+    if (c === '\\' && next === '\n') { i += 2; continue; }
+    if (c === '#') { while (i < src.length && src[i] !== '\n') i++; continue; }
+    if (c === '\n') { finish(false); i = skipHeredocs(st, i + 1); continue; }
+    if (c === ';') { finish(false); i += next === ';' ? 2 : 1; continue; }
+    if (c === '|') {
+      if (next === '|') { finish(false); i += 2; } else { finish(true); i += next === '&' ? 2 : 1; }
+      continue;
+    }
+    if (c === '&' && next !== '>') { finish(false); i += next === '&' ? 2 : 1; continue; }
+    if (c === '(' && !cur.words.length) { i = parseShellList(st, i + 1, ')'); continue; }
+    if ((c === '{' || c === '}') && !cur.words.length && /[\s;]/.test(next || ' ')) { i++; continue; }
+    if (c === ')') { i++; continue; }
+    if ((c === '<' || c === '>') && next === '(') {
+      // Process substitution: the inner commands run, the word itself is a path
+      i = parseShellList(st, i + 2, ')');
+      cur.words.push({ text: '', dynamic: true });
+      continue;
+    }
+    const redir = src.slice(i).match(/^(\d*|&)(>>|>\||>&|&>>|<<<|<<-|<<|<>|<&|>|<)/);
+    if (redir) {
+      i += redir[0].length;
+      while (src[i] === ' ' || src[i] === '\t') i++;
+      const [target, ni] = parseShellWord(st, i);
+      i = ni;
+      const op = redir[1] + redir[2];
+      if (redir[2] === '<<' || redir[2] === '<<-') {
+        st.heredocs.push({ delim: target.text, strip: redir[2] === '<<-' });
+      } else if (!(/[<>]&$/.test(redir[2]) && /^(\d+|-)$/.test(target.text))) {
+        cur.redirects.push({ op, target });
+      }
+      continue;
+    }
+    const [word, ni] = parseShellWord(st, i);
+    // A word that consumed nothing would loop forever; skip the character
+    if (ni === i) { i++; continue; }
+    cur.words.push(word);
+    i = ni;
+  }
+  finish(false);
+  return i;
+}
+
+function skipHeredocs(st, i) {
+  const { src } = st;
+  while (st.heredocs.length) {
+    const { delim, strip } = st.heredocs.shift();
+    while (i < src.length) {
+      const eol = src.indexOf('\n', i);
+      const line = src.slice(i, eol === -1 ? src.length : eol);
+      i = eol === -1 ? src.length : eol + 1;
+      if ((strip ? line.replace(/^\t+/, '') : line) === delim) break;
+    }
+  }
+  return i;
+}
+
+const ANSI_C_ESCAPES = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', v: '\v', '\\': '\\', "'": "'", '"': '"' };
+
+function parseShellWord(st, i) {
+  const { src } = st;
+  const start = i;
+  let text = '';
+  let dynamic = false;
+
+  // $..., $(...), `...` — shared between unquoted and double-quoted contexts
+  const expansion = () => {
+    if (src[i] === '`') {
+      let inner = '';
+      i++;
+      while (i < src.length && src[i] !== '`') {
+        if (src[i] === '\\' && i + 1 < src.length) { inner += src[i + 1]; i += 2; } else inner += src[i++];
+      }
+      i++;
+      st.commands.push(...parseShellCommands(inner));
+      dynamic = true;
+      return true;
+    }
+    if (src[i] !== '$') return false;
+    const n = src[i + 1];
+    if (n === '(' && src[i + 2] === '(') {
+      // Arithmetic expansion — skip to the matching "))"
+      let depth = 0;
+      i += 1;
+      while (i < src.length) {
+        if (src[i] === '(') depth++;
+        else if (src[i] === ')' && --depth === 0) { i++; break; }
+        i++;
+      }
+      dynamic = true;
+      return true;
+    }
+    if (n === '(') { i = parseShellList(st, i + 2, ')'); dynamic = true; return true; }
+    if (n === '{') {
+      const close = src.indexOf('}', i + 2);
+      i = close === -1 ? src.length : close + 1;
+      dynamic = true;
+      return true;
+    }
+    const name = src.slice(i + 1).match(/^([A-Za-z_][A-Za-z0-9_]*|[0-9@*#?$!-])/);
+    if (name) { i += 1 + name[0].length; dynamic = true; return true; }
+    return false;
+  };
+
+  while (i < src.length) {
+    const c = src[i];
+    if (/[\s|&;<>()]/.test(c)) break;
+    if (c === '\\') { if (i + 1 < src.length && src[i + 1] !== '\n') text += src[i + 1]; i += 2; continue; }
+    if (c === "'") {
+      const close = src.indexOf("'", i + 1);
+      text += src.slice(i + 1, close === -1 ? src.length : close);
+      i = close === -1 ? src.length : close + 1;
+      continue;
+    }
+    if (c === '$' && src[i + 1] === "'") {
+      i += 2;
+      while (i < src.length && src[i] !== "'") {
+        if (src[i] === '\\' && i + 1 < src.length) {
+          const e = src[i + 1];
+          const hex = e === 'x' && src.slice(i + 2).match(/^[0-9a-fA-F]{1,2}/);
+          const oct = src.slice(i + 1).match(/^[0-7]{1,3}/);
+          if (hex) { text += String.fromCharCode(parseInt(hex[0], 16)); i += 2 + hex[0].length; } else if (oct) { text += String.fromCharCode(parseInt(oct[0], 8)); i += 1 + oct[0].length; } else { text += ANSI_C_ESCAPES[e] ?? '\\' + e; i += 2; }
+        } else text += src[i++];
+      }
+      i++;
+      continue;
+    }
+    if (c === '"') {
+      i++;
+      while (i < src.length && src[i] !== '"') {
+        if (src[i] === '\\' && '$`"\\\n'.includes(src[i + 1])) { if (src[i + 1] !== '\n') text += src[i + 1]; i += 2; continue; }
+        if (expansion()) continue;
+        text += src[i++];
       }
+      i++;
+      continue;
+    }
+    if (expansion()) continue;
+    text += c;
+    i++;
+  }
+  return [{ text, dynamic, raw: src.slice(start, i) }, i];
+}
 
-      // Clean up files
-      try { unlinkSync(outputPath); } catch {}
-      try { unlinkSync(errorPath); } catch {}
+function executableName(word) {
+  return word.text.split(/[/\\]/).pop();
+}
+
+/**
+ * Expand a parsed command into itself plus every command it runs indirectly:
+ * wrapped commands (sudo, env, xargs, timeout, ...), `find -exec`, and the
+ * scripts given to `sh -c` or `eval`.
+ */
+function expandShellCommand(cmd, depth = 0) {
+  // Leading VAR=value assignments aren't the program
+  let words = cmd.words;
+  while (words.length > 1 && !words[0].dynamic && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0].text)) words = words.slice(1);
+  if (words.length === 1 && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0].text)) words = [];
+  const self = { ...cmd, words };
+  const out = [self];
+  if (!words.length || depth > 8) return out;
+
+  const name = executableName(words[0]);
+  const rest = words.slice(1);
+  const nested = inner => out.push(...expandShellCommand({ words: inner, redirects: [], piped: name === 'xargs' || cmd.piped }, depth + 1));
+
+  if (COMMAND_WRAPPERS[name]) {
+    const takesValue = COMMAND_WRAPPERS[name];
+    let j = 0;
+    while (j < rest.length) {
+      const t = rest[j].text;
+      if (takesValue.includes(t)) { j += 2; continue; }
+      if (t.startsWith('-') || (name === 'env' && t.includes('='))) { j++; continue; }
+      if (name === 'timeout' && /^\d+(\.\d+)?[smhd]?$/.test(t)) { j++; continue; }
+      if (name === 'chroot' && j === 0) { j++; continue; }
+      break;
+    }
+    if (j < rest.length) nested(rest.slice(j));
+  } else if (name === 'find') {
+    for (let j = 0; j < rest.length; j++) {
+      if (!/^-(exec|execdir|ok|okdir)$/.test(rest[j].text)) continue;
+      const end = rest.findIndex((w, k) => k > j && (w.text === ';' || w.text === '+'));
+      nested(rest.slice(j + 1, end === -1 ? rest.length : end));
+    }
+  } else if (name === 'eval') {
+    if (rest.some(w => w.dynamic)) out.push({ words: [{ text: 'eval', dynamic: true }], redirects: [], piped: cmd.piped });
+    else for (const c of parseShellCommands(rest.map(w => w.text).join(' '))) out.push(...expandShellCommand(c, depth + 1));
+  } else if (SHELL_INTERPRETERS.has(name)) {
+    const ci = rest.findIndex(w => /^-[a-zA-Z]*c[a-zA-Z]*$/.test(w.text));
+    const script = ci !== -1 ? rest[ci + 1] : null;
+    if (script?.dynamic) out.push({ words: [{ text: name, dynamic: true }], redirects: [], piped: cmd.piped });
+    else if (script) for (const c of parseShellCommands(script.text)) out.push(...expandShellCommand(c, depth + 1));
+  }
+  return out;
+}
 
-      // Mark as complete and notify clients
-      pendingActions.delete(actionId);
-      const completion = { actionId, success, result, completedAt: new Date().toISOString() };
+function compileCommandPolicy(policy) {
+  const rx = src => new RegExp(src, 'i');
+  return {
+    default: policy.default === 'deny' ? 'deny' : 'allow',
+    rules: (policy.rules || []).map(r => ({
+      ...r,
+      commandList: r.command === undefined ? null : [].concat(r.command).map(c => new RegExp('^' + String(c).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$', 'i')),
+      argsRe: r.args === undefined ? null : rx(r.args),
+      redirectRe: r.redirect === undefined ? null : rx(r.redirect),
+      patternRe: r.pattern === undefined ? null : rx(r.pattern),
+    })),
+  };
+}
 
-      const message = JSON.stringify({ type: 'action-complete', ...completion }) + '\n';
+/**
+ * Check that a command_policy object is well-formed. Returns a list of error
+ * strings (empty when valid).
+ */
+function validateCommandPolicy(policy) {
+  const errors = [];
+  if (!policy || typeof policy !== 'object') return ['command_policy must be an object'];
+  if (policy.default !== undefined && !['allow', 'deny'].includes(policy.default)) errors.push('default must be "allow" or "deny"');
+  if (!Array.isArray(policy.rules)) return [...errors, 'rules must be an array'];
+  policy.rules.forEach((r, i) => {
+    const label = `rules[${i}]${r?.id ? ` (${r.id})` : ''}`;
+    if (!r || typeof r !== 'object') return errors.push(`${label} must be an object`);
+    if (!['allow', 'deny'].includes(r.action)) errors.push(`${label}: action must be "allow" or "deny"`);
+    if (!['command', 'args', 'redirect', 'pattern', 'piped', 'dynamic'].some(k => r[k] !== undefined)) errors.push(`${label}: needs at least one of command, args, redirect, pattern, piped, dynamic`);
+    for (const k of ['args', 'redirect', 'pattern']) {
+      if (r[k] === undefined) continue;
+      try { new RegExp(r[k]); } catch (err) { errors.push(`${label}: invalid ${k} regex: ${err.message}`); }
+    }
+  });
+  return errors;
+}
 
-      console.log(`[SSE] Action complete: ${actionId}, Notifying ${clients.size} clients, result length: ${result?.length || 0}`);
+function ruleMatches(rule, seg, raw) {
+  if (rule.patternRe && !rule.patternRe.test(raw)) return false;
+  if (rule.dynamic !== undefined && rule.dynamic !== seg.dynamic) return false;
+  if (rule.piped !== undefined && rule.piped !== seg.piped) return false;
+  if (rule.commandList && !(seg.name && rule.commandList.some(re => re.test(seg.name)))) return false;
+  if (rule.argsRe && !rule.argsRe.test(seg.args)) return false;
+  if (rule.redirectRe && !seg.redirects.some(t => rule.redirectRe.test(t))) return false;
+  return true;
+}
 
-      for (const [res, sessionId] of clients) {
-        try {
-          res.write(`data: ${message}\n\n`);
-          console.log(`[SSE] Sent result to client: ${sessionId}`);
-        } catch (e) {
-          console.warn(`[SSE] Failed to send to ${sessionId}:`, e.message);
-        }
-      }
+/**
+ * Evaluate a command line against a policy. Every simple command it would run
+ * is checked; the first one denied decides the result.
+ * @param {string} raw - the command line
+ * @param {object} compiled - result of compileCommandPolicy()
+ * @returns {{ allowed: boolean, rule: string|null, reason: string, segment: string|null }}
+ */
+function evaluateCommandPolicy(raw, compiled) {
+  const segments = parseShellCommands(raw).flatMap(c => expandShellCommand(c)).map(c => ({
+    name: c.words[0] ? executableName(c.words[0]) : '',
+    dynamic: !!c.words[0]?.dynamic,
+    args: c.words.slice(1).map(w => w.text).join(' '),
+    redirects: c.redirects.filter(r => />/.test(r.op)).map(r => r.target.text),
+    piped: !!c.piped,
+    text: [...c.words.map(w => w.raw ?? w.text), ...c.redirects.map(r => `${r.op} ${r.target.raw ?? r.target.text}`)].join(' '),
+  }));
+  // A command with no parseable parts still gets the raw pattern rules
+  if (!segments.length) segments.push({ name: '', dynamic: false, args: '', redirects: [], piped: false, text: raw });
+
+  let allowedBy = null;
+  for (const seg of segments) {
+    const rule = compiled.rules.find(r => ruleMatches(r, seg, raw));
+    const action = rule ? rule.action : compiled.default;
+    if (action === 'deny') {
+      return {
+        allowed: false,
+        rule: rule ? (rule.id || `rules[${compiled.rules.indexOf(rule)}]`) : 'default',
+        reason: rule ? (rule.reason || 'Matched a deny rule') : 'No rule allows this command and the policy default is deny',
+        segment: seg.text,
+      };
     }
-  } catch (err) {
-    console.warn('Action poll error:', err.message);
+    if (rule && !allowedBy) allowedBy = rule;
   }
+  return {
+    allowed: true,
+    rule: allowedBy ? (allowedBy.id || `rules[${compiled.rules.indexOf(allowedBy)}]`) : null,
+    reason: allowedBy ? (allowedBy.reason || 'Matched an allow rule') : 'No rule matched; the policy default is allow',
+    segment: null,
+  };
 }
 
-// Start polling
-if (!existsSync(ACTIONS_DIR)) mkdirSync(ACTIONS_DIR, { recursive: true });
-setInterval(pollCompletedActions, 3000);
+// ── OpenClaw CLI ─────────────────────────────────────────────────────────────
+//
+// OPENCLAW actions call the openclaw CLI with an argument vector, never through
+// a shell, and ask for --json output. The output is normalized into a small
+// record the UI renders as a card: gateway status fields, a session list, an
+// agent's reply, or a delivery receipt. Output that isn't JSON is passed
+// through as text.
+
+const OPENCLAW_OPS = {
+  status: {
+    description: 'gateway status',
+    options: [],
+    argv: () => ['status', '--json'],
+  },
+  sessions: {
+    description: 'list sessions',
+    options: [],
+    argv: () => ['sessions', '--json'],
+  },
+  agent: {
+    description: 'message an agent by name (agent=), or continue an existing session (session=)',
+    options: ['agent', 'session'],
+    rest: 'message',
+    background: true,
+    argv: o => {
+      if (!o.agent && !o.session) throw new Error('agent needs agent=<name> or session=<session id>');
+      return [
+        'agent',
+        ...(o.session ? ['--session-id', openclawValue('session', o.session)] : ['--agent', openclawValue('agent', o.agent)]),
+        `--message=${openclawValue('message', o.message, true)}`,
+        '--json',
+      ];
+    },
+  },
+  send: {
+    description: 'deliver a message on a channel (channel=, to=)',
+    options: ['channel', 'to'],
+    rest: 'message',
+    argv: o => ['message', 'send', '--channel', openclawValue('channel', o.channel), '--target', openclawValue('to', o.to), `--message=${openclawValue('message', o.message, true)}`, '--json'],
+  },
+};
 
-// ── SSE Endpoint for async action updates ───────────────────────────────────
+// Values are passed as separate arguments, so the only thing to guard against is
+// one being read as a flag. Names and ids can't start with "-"; free text may,
+// so callers attach it to its flag (`--message=<text>`).
+function openclawValue(name, value, freeText = false) {
+  if (!value) throw new Error(`${name} is required`);
+  if (!freeText && value.startsWith('-')) throw new Error(`${name} can't start with "-"`);
+  return value;
+}
 
-app.get('/api/events-test', (req, res) => {
-  console.log('[DEBUG] /api/events-test called');
-  res.json({test: 'ok', message: 'This route works'});
-});
+// The command line as it would be typed, for the command policy, job listings and logs
+function formatCommandLine(argv) {
+  return argv.map(a => (/^[\w@%+=:,./-]+$/.test(a) ? a : `'${a.replace(/'/g, `'\\''`)}'`)).join(' ');
+}
 
-app.get('/api/events', (req, res) => {
-  console.log('[DEBUG] /api/events handler invoked');
-  const sessionId = req.headers['x-session-id'] || 'anonymous';
-  console.log('[SSE] New client connecting...');
+function parseJsonOutput(text) {
+  const trimmed = (text || '').trim();
+  try { return JSON.parse(trimmed); } catch {}
+  // Some commands log a few lines before the JSON document
+  const start = trimmed.search(/^[[{]/m);
+  if (start > 0) try { return JSON.parse(trimmed.slice(start)); } catch {}
+  return undefined;
+}
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
+// First non-empty value among dotted paths, e.g. pickField(s, 'sessionId', 'meta.sessionId')
+function pickField(obj, ...paths) {
+  for (const path of paths) {
+    const value = path.split('.').reduce((o, k) => (o == null ? o : o[k]), obj);
+    if (value != null && value !== '') return value;
+  }
+  return null;
+}
 
-  clientConnections.set(res, sessionId);
-  console.log(`[SSE] Client connected: ${sessionId}, Total clients: ${clientConnections.size}`);
+function formatWhen(value) {
+  if (value == null) return null;
+  const date = new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
 
-  // Send any pending completed results immediately
-  if (existsSync(ACTIONS_DIR)) {
-    const files = readdirSync(ACTIONS_DIR).filter(f => f.endsWith('.txt') || f.endsWith('.err'));
-    for (const file of files) {
-      const actionId = file.replace(/\.(txt|err)$/, '');
-      const filePath = join(ACTIONS_DIR, file);
-      try {
-        const result = readFileSync(filePath, 'utf-8');
-        const success = file.endsWith('.txt');
-        const message = JSON.stringify({ type: 'action-complete', actionId, success, result, completedAt: new Date().toISOString() }) + '\n';
-        res.write(`data: ${message}\n\n`);
-        console.log(`[SSE] Sent pending result ${actionId} to new client ${sessionId}`);
-        // Clean up after sending
-        unlinkSync(filePath);
-      } catch {}
+// Scalar fields of a status document as [label, value] rows, one level of nesting deep
+function flattenStatus(obj, prefix = '', depth = 0, rows = []) {
+  for (const [key, value] of Object.entries(obj || {})) {
+    if (rows.length >= 40) break;
+    const label = prefix + key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (depth < 1) flattenStatus(value, `${label}.`, depth + 1, rows);
+    } else if (Array.isArray(value)) {
+      rows.push([label, value.every(v => v == null || typeof v !== 'object') ? value.join(', ') : `${value.length} items`]);
+    } else {
+      rows.push([label, String(value)]);
     }
   }
+  return rows;
+}
 
-  // Send heartbeat to keep connection alive
-  const heartbeat = setInterval(() => {
-    try {
-      res.write('data: {"type":"heartbeat"}\n\n');
-    } catch {
-      clearInterval(heartbeat);
-      clientConnections.delete(res);
-      console.log(`[SSE] Client disconnected (heartbeat failed): ${sessionId}`);
+/**
+ * Normalize an OPENCLAW op's JSON output. Field names vary between OpenClaw
+ * releases, so each field is looked up under the names it has been seen with,
+ * falling back to what was asked for in `requested` (the action's options).
+ * Returns null if the output wasn't JSON.
+ */
+function normalizeOpenclawOutput(op, stdout, requested = {}) {
+  const json = parseJsonOutput(stdout);
+  if (json === undefined) return null;
+  switch (op) {
+    case 'status':
+      return { op, fields: flattenStatus(Array.isArray(json) ? { items: json } : json) };
+    case 'sessions': {
+      const list = Array.isArray(json) ? json : pickField(json, 'sessions', 'items', 'data') || [];
+      return {
+        op,
+        sessions: list.map(s => ({
+          id: pickField(s, 'sessionId', 'id', 'key'),
+          agent: pickField(s, 'agentId', 'agent'),
+          channel: pickField(s, 'channel', 'lastChannel', 'origin.channel'),
+          model: pickField(s, 'model'),
+          updated: formatWhen(pickField(s, 'updatedAt', 'lastActivity', 'updated')),
+        })),
+      };
     }
-  }, 15000);
+    case 'agent': {
+      const payloads = pickField(json, 'payloads', 'result.payloads');
+      return {
+        op,
+        agent: pickField(json, 'agentId', 'agent', 'meta.agentId', 'result.meta.agentMeta.agentId') ?? requested.agent ?? null,
+        session: pickField(json, 'sessionId', 'session.id', 'meta.sessionId', 'result.meta.agentMeta.sessionId') ?? requested.session ?? null,
+        reply: pickField(json, 'reply', 'text', 'result.text', 'output')
+          ?? (Array.isArray(payloads) ? payloads.map(p => p?.text).filter(Boolean).join('\n\n') : null),
+      };
+    }
+    case 'send':
+      return {
+        op,
+        channel: pickField(json, 'channel', 'result.channel') ?? requested.channel ?? null,
+        target: pickField(json, 'target', 'to', 'result.to') ?? requested.to ?? null,
+        messageId: pickField(json, 'messageId', 'id', 'result.messageId'),
+      };
+    default:
+      return null;
+  }
+}
 
-  req.on('close', () => {
-    clearInterval(heartbeat);
-    clientConnections.delete(res);
-    console.log(`[SSE] Client disconnected: ${sessionId}`);
+// Plain-text version of a normalized result for the model
+function describeOpenclawOutput(data) {
+  switch (data.op) {
+    case 'status':
+      return data.fields.map(([k, v]) => `${k}: ${v}`).join('\n') || 'No status fields reported.';
+    case 'sessions':
+      if (!data.sessions.length) return 'No sessions.';
+      return [`${data.sessions.length} sessions:`, ...data.sessions.map(s => {
+        const details = [s.agent && `agent ${s.agent}`, s.channel, s.model, s.updated && `updated ${s.updated}`].filter(Boolean);
+        return `- ${s.id}${details.length ? ` (${details.join(', ')})` : ''}`;
+      })].join('\n');
+    case 'agent':
+      return `${data.agent ? `Agent ${data.agent}` : 'The agent'} replied${data.session ? ` (session ${data.session})` : ''}:\n${data.reply ?? '(no reply text)'}`;
+    case 'send':
+      return `Message sent${data.channel ? ` on ${data.channel}` : ''}${data.target ? ` to ${data.target}` : ''}${data.messageId ? ` (message id ${data.messageId})` : ''}.`;
+  }
+}
+
+// ── Auto-approve Rules ───────────────────────────────────────────────────────
+//
+// Rules that let low-risk actions run without a click: reads under given
+// paths, commands built only from listed programs, OpenClaw status checks.
+// Global rules live in the config (auto_approve), session rules in memory for
+// one chat. WRITE_FILE, RUN_SCRIPT and OpenClaw operations with side effects
+// are only covered by a rule that sets allow_writes.
+
+const AUTO_APPROVE_ACTIONS = ['READ_FILE', 'LIST_DIR', 'TAIL_FILE', 'SEARCH', 'RUN_CMD', 'OPENCLAW', 'WRITE_FILE', 'RUN_SCRIPT'];
+// "read_only" in a rule's actions stands for these
+const READ_ONLY_ACTIONS = ['READ_FILE', 'LIST_DIR', 'TAIL_FILE', 'SEARCH', 'OPENCLAW'];
+const WRITE_ACTIONS = ['WRITE_FILE', 'RUN_SCRIPT'];
+const READ_ONLY_OPENCLAW_OPS = ['status', 'sessions'];
+const AUTO_APPROVE_ID_RE = /^[\w.-]{1,64}$/;
+const AUTO_APPROVE_MAX_RULES = 100;
+
+function autoApproveActions(rule) {
+  return [...new Set(rule.actions.flatMap(a => (a === 'read_only' ? READ_ONLY_ACTIONS : [a])))];
+}
+
+/**
+ * Check one auto-approve rule. Returns a list of error strings (empty when valid).
+ */
+function validateAutoApproveRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ['must be an object'];
+  const errors = [];
+  const isList = key => rule[key] === undefined || (Array.isArray(rule[key]) && rule[key].length && rule[key].every(v => typeof v === 'string' && v.trim()));
+  if (rule.id !== undefined && !(typeof rule.id === 'string' && AUTO_APPROVE_ID_RE.test(rule.id))) errors.push('id may only contain letters, digits, ".", "_" and "-"');
+  if (rule.label !== undefined && typeof rule.label !== 'string') errors.push('label must be a string');
+  for (const key of ['paths', 'executables', 'openclaw_ops']) {
+    if (!isList(key)) errors.push(`${key} must be a non-empty list of strings`);
+  }
+  if (rule.allow_writes !== undefined && typeof rule.allow_writes !== 'boolean') errors.push('allow_writes must be true or false');
+  if (rule.expires_at !== undefined && (typeof rule.expires_at !== 'string' || isNaN(Date.parse(rule.expires_at)))) errors.push('expires_at must be an ISO date');
+  if (!Array.isArray(rule.actions) || !rule.actions.length) return [...errors, 'actions must be a non-empty list'];
+  const unknown = rule.actions.filter(a => a !== 'read_only' && !AUTO_APPROVE_ACTIONS.includes(a));
+  if (unknown.length) return [...errors, `unknown action ${unknown.join(', ')} (use ${[...AUTO_APPROVE_ACTIONS, 'read_only'].join(', ')})`];
+
+  const writes = rule.actions.filter(a => WRITE_ACTIONS.includes(a));
+  const need = list => `${list.join(list.length > 2 ? ', ' : ' and ')} ${list.length === 1 ? 'needs' : 'need'}`;
+  if (writes.length && rule.allow_writes !== true) errors.push(`${need(writes)} allow_writes: true`);
+  if (writes.length && !rule.paths) errors.push(`${need(writes)} a paths list`);
+  if (rule.actions.includes('RUN_CMD') && !rule.executables) errors.push('RUN_CMD needs an executables list');
+  const ops = Array.isArray(rule.openclaw_ops) ? rule.openclaw_ops : [];
+  const unknownOps = ops.filter(op => !Object.hasOwn(OPENCLAW_OPS, op));
+  if (unknownOps.length) errors.push(`unknown openclaw_ops ${unknownOps.join(', ')}`);
+  const sideEffects = ops.filter(op => Object.hasOwn(OPENCLAW_OPS, op) && !READ_ONLY_OPENCLAW_OPS.includes(op));
+  if (sideEffects.length && rule.allow_writes !== true) errors.push(`openclaw_ops ${need(sideEffects)} allow_writes: true`);
+  return errors;
+}
+
+function validateAutoApproveRules(rules) {
+  if (rules.length > AUTO_APPROVE_MAX_RULES) return [`has more than ${AUTO_APPROVE_MAX_RULES} rules`];
+  const errors = [];
+  const ids = new Set();
+  rules.forEach((rule, i) => {
+    const label = `rules[${i}]${rule?.id ? ` (${rule.id})` : ''}`;
+    errors.push(...validateAutoApproveRule(rule).map(m => `${label}: ${m}`));
+    if (rule?.id && ids.has(rule.id)) errors.push(`${label}: duplicate id`);
+    ids.add(rule?.id);
   });
-});
+  return errors;
+}
 
-// ── Safety ──────────────────────────────────────────────────────────────────
+// Shown on auto-approved cards and in the rule list
+function describeAutoApproveRule(rule) {
+  if (rule.label) return rule.label;
+  const parts = [rule.actions.map(a => (a === 'read_only' ? 'read-only actions' : a)).join(', ')];
+  if (rule.paths) parts.push(`under ${rule.paths.join(', ')}`);
+  if (rule.executables) parts.push(`using ${rule.executables.join(', ')}`);
+  if (rule.openclaw_ops) parts.push(`(openclaw ${rule.openclaw_ops.join(', ')})`);
+  return parts.join(' ');
+}
 
-const BLOCKED_COMMANDS = [
-  /rm\s+(-[a-zA-Z]*f|-[a-zA-Z]*r|--force|--recursive).*\//i,
-  /rm\s+-rf\s/i,
-  /mkfs/i,
-  /dd\s+if=/i,
-  /chmod\s+(-R\s+)?777\s+\//i,
-  /chown\s+-R\s+.*\s+\//i,
-  />\s*\/dev\/sd/i,
-  /:(){ :\|:& };:/,
-  /shutdown/i,
-  /reboot/i,
-  /init\s+[06]/i,
-  /systemctl\s+(poweroff|halt|reboot)/i,
-  /wipefs/i,
-  /fdisk/i,
-  /parted/i,
-  /\bformat\b.*\/(dev|disk)/i,
-  /curl.*\|\s*(bash|sh|zsh)/i,
-  /wget.*\|\s*(bash|sh|zsh)/i,
-  /python.*-c.*import\s+os.*system/i,
-  /iptables\s+-F/i,
-  /ufw\s+disable/i,
-  /passwd\s+root/i,
-  /userdel/i,
-  /groupdel/i,
-  /mv\s+\/etc/i,
-  /rm\s+\/etc/i,
-  /truncate.*\/etc/i,
-  /echo\s+.*>\s*\/etc\/(passwd|shadow|sudoers|fstab)/i,
-];
+/**
+ * Check that a command runs only the listed programs — including everything
+ * it runs through pipelines, substitutions and wrappers — and, unless
+ * redirects are allowed, writes no file other than /dev/null.
+ * @returns {string|null} why the command is not covered, or null when it is
+ */
+function commandOutsideList(raw, executables, allowRedirects) {
+  const commands = parseShellCommands(raw).flatMap(c => expandShellCommand(c));
+  if (!commands.length) return 'nothing to run';
+  for (const c of commands) {
+    const output = c.redirects.find(r => />/.test(r.op) && r.target.text !== '/dev/null');
+    if (output && !allowRedirects) return `writes to ${output.target.text || 'a computed path'}`;
+    if (!c.words.length) continue;
+    if (c.words[0].dynamic) return 'the program to run is computed at runtime';
+    const name = executableName(c.words[0]);
+    if (!executables.includes(name)) return `"${name}" is not a listed executable`;
+  }
+  return null;
+}
 
-const DEFAULT_READ_PATHS = [
-  '/etc/', '/var/log/', '/var/lib/', '/tmp/',
-  '/home/', '/opt/', '/usr/local/etc/',
-  '/proc/cpuinfo', '/proc/meminfo', '/proc/loadavg',
-  '/proc/version', '/proc/uptime', '/proc/net/',
-];
+// ── Config Schema ────────────────────────────────────────────────────────────
+//
+// middleclaw.config.json is described by CONFIG_SCHEMA and carries a
+// config_version. Files from older releases — DoctorClaw-era configs have no
+// version at all — are upgraded by CONFIG_MIGRATIONS when they're loaded, and
+// the original is kept next to it as a .bak file.
+
+const CONFIG_VERSION = 1;
+
+const CONFIG_SCHEMA = {
+  config_version: { type: 'integer', min: 0 },
+  port: { type: 'integer', min: 1, max: 65535 },
+  provider: { type: 'enum', values: Object.keys(LLM_PROVIDERS) },
+  ollama_url: { type: 'url' },
+  openai_url: { type: 'url' },
+  model: { type: 'string' },
+  context_window: { type: 'integer', min: 0 },
+  openclaw_dir: { type: 'string' },
+  openclaw_workspace_dir: { type: 'string' },
+  gateway_url: { type: 'url' },
+  services: {
+    type: 'object',
+    check: services => Object.entries(services).filter(([, url]) => typeof url !== 'string' || !isHttpUrl(url)).map(([name]) => `"${name}" must be an http:// or https:// URL`),
+  },
+  os: { type: 'enum', values: ['linux', 'macos', 'windows'] },
+  read_paths: { type: 'paths' },
+  write_paths: { type: 'paths' },
+  deny_paths: { type: 'paths' },
+  command_policy: { type: 'object', check: validateCommandPolicy },
+  auto_approve: { type: 'list', check: validateAutoApproveRules },
+  backup_retention: { type: 'object', fields: { max_per_file: { type: 'integer', min: 0 }, max_age_days: { type: 'integer', min: 0 } } },
+  max_job_runtime_minutes: { type: 'integer', min: 0 },
+  audio_enabled: { type: 'boolean' },
+  elevenlabs_voice_id: { type: 'string' },
+  auth: { type: 'object' },
+  secrets_encryption: {
+    type: 'enum',
+    values: ['none', 'machine', 'passphrase'],
+    check: mode => (mode === 'passphrase' && !process.env.MIDDLECLAW_SECRETS_PASSPHRASE ? ['needs the MIDDLECLAW_SECRETS_PASSPHRASE environment variable'] : []),
+  },
+};
 
-const DEFAULT_WRITE_PATHS = [
-  '/tmp/',
+// Each entry upgrades a config from version i to i + 1
+const CONFIG_MIGRATIONS = [
+  // 0 → 1: unversioned files from DoctorClaw and early MiddleClaw
+  cfg => {
+    if (typeof cfg.port === 'string' && /^\d+$/.test(cfg.port.trim())) cfg.port = Number(cfg.port);
+    if (typeof cfg.os === 'string') {
+      const os = cfg.os.toLowerCase();
+      cfg.os = { darwin: 'macos', mac: 'macos', osx: 'macos', win32: 'windows', win: 'windows' }[os] || os;
+    }
+    cfg.provider ??= 'ollama';
+    if (typeof cfg.openclaw_dir === 'string' && !cfg.openclaw_workspace_dir) cfg.openclaw_workspace_dir = join(cfg.openclaw_dir, 'workspace');
+    cfg.deny_paths ??= [...DEFAULTS.deny_paths];
+  },
 ];
 
-// Build live path lists from config (or defaults on first run)
-let SAFE_READ_PATHS = config.read_paths || [...DEFAULT_READ_PATHS, OPENCLAW_DIR];
-let SAFE_WRITE_PATHS = config.write_paths || [...DEFAULT_WRITE_PATHS, process.cwd(), OPENCLAW_DIR];
-
-function isCommandBlocked(cmd) {
-  return BLOCKED_COMMANDS.some(pattern => pattern.test(cmd));
+function isHttpUrl(value) {
+  try { return ['http:', 'https:'].includes(new URL(value).protocol); } catch { return false; }
 }
 
-function isPathReadable(filepath) {
-  return SAFE_READ_PATHS.some(p => filepath.startsWith(p));
+function checkConfigValue(spec, value) {
+  switch (spec.type) {
+    case 'integer': {
+      const range = spec.max !== undefined ? ` between ${spec.min} and ${spec.max}` : ` of ${spec.min} or more`;
+      return Number.isInteger(value) && value >= spec.min && value <= (spec.max ?? Infinity) ? null : `must be a whole number${range}`;
+    }
+    case 'boolean': return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'string': return typeof value === 'string' ? null : 'must be a string';
+    // An empty URL falls back to the provider default
+    case 'url': return typeof value === 'string' && (!value || isHttpUrl(value)) ? null : 'must be an http:// or https:// URL';
+    case 'enum': return spec.values.includes(value) ? null : `must be one of: ${spec.values.join(', ')}`;
+    case 'paths': return Array.isArray(value) && value.every(p => typeof p === 'string' && p.trim()) ? null : 'must be a list of paths';
+    case 'list': return Array.isArray(value) ? null : 'must be a list';
+    case 'object': return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+  }
+  return null;
 }
 
-function isPathWritable(filepath) {
-  return SAFE_WRITE_PATHS.some(p => filepath.startsWith(p));
+/**
+ * Validate a config object against CONFIG_SCHEMA. Unknown keys are left alone.
+ * @returns {{ field: string, message: string }[]} field-level errors, empty when valid
+ */
+function validateConfig(cfg) {
+  if (!cfg || typeof cfg !== 'object' || Array.isArray(cfg)) return [{ field: '', message: 'the config must be a JSON object' }];
+  const errors = [];
+  for (const [field, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (cfg[field] === undefined) continue;
+    const message = checkConfigValue(spec, cfg[field]);
+    if (message) {
+      errors.push({ field, message });
+      continue;
+    }
+    for (const [sub, subSpec] of Object.entries(spec.fields || {})) {
+      const subMessage = cfg[field][sub] === undefined ? null : checkConfigValue(subSpec, cfg[field][sub]);
+      if (subMessage) errors.push({ field: `${field}.${sub}`, message: subMessage });
+    }
+    if (spec.check) errors.push(...spec.check(cfg[field]).map(m => ({ field, message: m })));
+  }
+  return errors;
 }
 
-function backupFile(filepath) {
-  if (!existsSync(filepath)) return null;
-  if (!existsSync(BACKUP_DIR)) mkdirSync(BACKUP_DIR, { recursive: true });
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const backupName = filepath.replace(/\//g, '__') + `.${timestamp}.bak`;
-  const backupPath = join(BACKUP_DIR, backupName);
-  copyFileSync(filepath, backupPath);
-  return backupPath;
+function formatConfigErrors(errors) {
+  return errors.map(e => (e.field ? `${e.field} ${e.message}` : e.message)).join('; ');
 }
 
-// ── Middleware ───────────────────────────────────────────────────────────────
+/**
+ * Convert a value from the Settings form to its schema type: numbers arrive
+ * as strings, and a blank field means "use the default" (undefined).
+ */
+function coerceConfigValue(spec, value) {
+  if (value === '' || value === null) return undefined;
+  if (spec.type === 'integer' && typeof value === 'string') return Number(value);
+  if (spec.type === 'url' && typeof value === 'string') return value.replace(/\/+$/, '');
+  if (spec.fields && value && typeof value === 'object' && !Array.isArray(value)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      const coerced = spec.fields[k] ? coerceConfigValue(spec.fields[k], v) : v;
+      if (coerced !== undefined) out[k] = coerced;
+    }
+    return out;
+  }
+  return value;
+}
 
-app.use(express.json({ limit: '5mb' }));
-const staticPath = join(__dirname, 'public');
-console.log(`  Static files: ${staticPath}`);
+/** Upgrade a parsed config to CONFIG_VERSION. Returns the same object when it is already current. */
+function migrateConfig(cfg) {
+  if (!cfg || typeof cfg !== 'object' || Array.isArray(cfg)) return cfg;
+  const from = Number.isInteger(cfg.config_version) ? cfg.config_version : 0;
+  if (from >= CONFIG_VERSION) return cfg;
+  const { config_version, ...rest } = structuredClone(cfg);
+  for (let v = from; v < CONFIG_VERSION; v++) CONFIG_MIGRATIONS[v](rest);
+  return { config_version: CONFIG_VERSION, ...rest };
+}
 
-// Cache-busting for static files to prevent stale frontend code
-app.use((req, res, next) => {
+/**
+ * Read middleclaw.config.json at startup: parse it, migrate it to the current
+ * version, and drop settings that fail validation so their defaults apply.
+ * A file that isn't valid JSON stops startup with the parser's message rather
+ * than a stack trace.
+ */
+function loadConfigFile() {
+  let text = readFileSync(CONFIG_PATH, 'utf-8');
+  let cfg;
+  try {
+    cfg = JSON.parse(text);
+  } catch (err) {
+    cfg = err;
+  }
+  if (cfg instanceof Error || !cfg || typeof cfg !== 'object' || Array.isArray(cfg)) {
+    console.error(`\n  ❌ ${CONFIG_PATH} is not a valid config: ${cfg instanceof Error ? cfg.message : 'expected a JSON object'}`);
+    console.error('  Fix the file, or run with -i to create a new one.\n');
+    process.exit(1);
+  }
+  openSecretStore(checkConfigValue(CONFIG_SCHEMA.secrets_encryption, cfg.secrets_encryption) ? 'none' : cfg.secrets_encryption);
+  const moved = moveSecretsOutOfConfig(cfg);
+  if (moved.length) {
+    text = JSON.stringify(cfg, null, 2) + '\n';
+    writeFileSync(CONFIG_PATH, text, 'utf-8');
+    console.log(`  ✓ Moved ${moved.join(', ')} from the config to ${basename(SECRETS_PATH)}`);
+  }
+  if (cfg.config_version > CONFIG_VERSION) {
+    console.log(`  ⚠  Config version ${cfg.config_version} is newer than this MiddleClaw supports (${CONFIG_VERSION}). Unknown settings are ignored.`);
+  }
+
+  const migrated = migrateConfig(cfg);
+  if (migrated !== cfg) {
+    const backupPath = `${CONFIG_PATH}.v${cfg.config_version ?? 0}.bak`;
+    writeFileSync(backupPath, text, 'utf-8');
+    writeFileSync(CONFIG_PATH, JSON.stringify(migrated, null, 2) + '\n', 'utf-8');
+    console.log(`  ✓ Migrated config to version ${CONFIG_VERSION} (original saved as ${basename(backupPath)})`);
+    cfg = migrated;
+  }
+
+  for (const { field, message } of validateConfig(cfg)) {
+    console.log(`  ⚠  Invalid setting in config: ${field} ${message}. Using the default.`);
+    delete cfg[field.split('.')[0]];
+  }
+  return cfg;
+}
+
+// ── Secret Store ─────────────────────────────────────────────────────────────
+//
+// Credentials live in .middleclaw-secrets.json (mode 0600), never in
+// middleclaw.config.json, so the config can be shared or committed. The file
+// is plain JSON unless secrets_encryption says otherwise:
+//   machine    — AES-256-GCM with a random key in ~/.middleclaw/secrets.key
+//   passphrase — AES-256-GCM with a key derived from MIDDLECLAW_SECRETS_PASSPHRASE
+// Everything reads credentials through getSecret(); the config API only
+// reports whether each one is set.
+
+const SECRETS_PATH = join(__dirname, '.middleclaw-secrets.json');
+const MACHINE_KEY_PATH = join(homedir(), '.middleclaw', 'secrets.key');
+const SECRET_FIELDS = ['openai_api_key', 'elevenlabs_api_key'];
+
+let secrets = null;
+let secretsEncryption = 'none';
+
+// Only writing creates the machine key; a missing key on read means the secrets can't be recovered
+function secretsKey(mode, salt, { create = false } = {}) {
+  if (mode === 'passphrase') {
+    const passphrase = process.env.MIDDLECLAW_SECRETS_PASSPHRASE;
+    if (!passphrase) throw new Error('the secrets file is passphrase-encrypted but MIDDLECLAW_SECRETS_PASSPHRASE is not set');
+    return scryptSync(passphrase, salt, 32);
+  }
+  if (!existsSync(MACHINE_KEY_PATH)) {
+    if (!create) throw new Error(`the secrets file is encrypted with a machine key, but ${MACHINE_KEY_PATH} is missing`);
+    mkdirSync(dirname(MACHINE_KEY_PATH), { recursive: true, mode: 0o700 });
+    writeFileSync(MACHINE_KEY_PATH, randomBytes(32).toString('base64') + '\n', { mode: 0o600 });
+  }
+  return scryptSync(readFileSync(MACHINE_KEY_PATH, 'utf-8').trim(), salt, 32);
+}
+
+function readSecretsFile() {
+  if (!existsSync(SECRETS_PATH)) return {};
+  const file = JSON.parse(readFileSync(SECRETS_PATH, 'utf-8'));
+  if (!file.encryption || file.encryption === 'none') return file.secrets || {};
+  const key = secretsKey(file.encryption, Buffer.from(file.salt, 'base64'));
+  const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+  try {
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]).toString('utf-8'));
+  } catch {
+    throw new Error(file.encryption === 'passphrase' ? 'wrong MIDDLECLAW_SECRETS_PASSPHRASE' : `${MACHINE_KEY_PATH} does not match the key the secrets were encrypted with`);
+  }
+}
+
+function writeSecretsFile() {
+  let file = { version: 1, encryption: secretsEncryption };
+  if (secretsEncryption === 'none') {
+    file.secrets = secrets;
+  } else {
+    const salt = randomBytes(16);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', secretsKey(secretsEncryption, salt, { create: true }), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf-8'), cipher.final()]);
+    file = { ...file, salt: salt.toString('base64'), iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+  }
+  const tmp = SECRETS_PATH + '.tmp';
+  writeFileSync(tmp, JSON.stringify(file, null, 2) + '\n', { encoding: 'utf-8', mode: 0o600 });
+  renameSync(tmp, SECRETS_PATH);
+}
+
+/**
+ * Load the secrets file and (re-)encrypt it with `mode` if it was stored
+ * differently. Exits when the file can't be decrypted, rather than starting
+ * without credentials and overwriting them on the next save.
+ */
+function openSecretStore(mode = 'none') {
+  try {
+    secrets ??= readSecretsFile();
+    if (existsSync(SECRETS_PATH)) secretsEncryption = JSON.parse(readFileSync(SECRETS_PATH, 'utf-8')).encryption || 'none';
+    if (setSecretsEncryption(mode)) console.log(`  ✓ Secrets file re-encrypted (${mode})`);
+  } catch (err) {
+    console.error(`\n  ❌ Cannot read ${SECRETS_PATH}: ${err.message}\n`);
+    process.exit(1);
+  }
+}
+
+/** Switch the secrets file to another encryption mode. Returns true if it was rewritten. */
+function setSecretsEncryption(mode) {
+  secrets ??= readSecretsFile();
+  if (mode === secretsEncryption) return false;
+  secretsEncryption = mode;
+  if (!existsSync(SECRETS_PATH) && !Object.keys(secrets).length) return false;
+  writeSecretsFile();
+  return true;
+}
+
+/** Read a credential. Returns '' when it isn't set. */
+function getSecret(name) {
+  secrets ??= readSecretsFile();
+  return secrets[name] || '';
+}
+
+/** Store a credential; an empty value removes it. */
+function setSecret(name, value) {
+  secrets ??= readSecretsFile();
+  if (value) secrets[name] = value;
+  else delete secrets[name];
+  writeSecretsFile();
+}
+
+/** Which credentials are set, without their values — safe to send to the browser. */
+function secretStatus() {
+  return Object.fromEntries(SECRET_FIELDS.map(name => [name, !!getSecret(name)]));
+}
+
+/**
+ * Move credentials found in a config object (older files, hand edits) into
+ * the secret store. Returns the names that were moved.
+ */
+function moveSecretsOutOfConfig(cfg) {
+  const moved = SECRET_FIELDS.filter(name => cfg[name] !== undefined);
+  for (const name of moved) {
+    if (typeof cfg[name] === 'string' && cfg[name]) setSecret(name, cfg[name]);
+    delete cfg[name];
+  }
+  return moved;
+}
+
+// ── Audit Log ────────────────────────────────────────────────────────────────
+//
+// Append-only JSONL record of every executed action. Each entry carries the
+// hash of the previous one, so editing or removing a line breaks the chain
+// and is caught by `node server.mjs verify-audit`. If the log ends in lines
+// that can't be parsed, the next write first records an AUDIT_CHAIN_BROKEN
+// entry that links to the last valid one, so the damage stays on record
+// instead of the chain quietly starting over.
+
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+let auditTail = null;
+
+function sha256(text) {
+  return createHash('sha256').update(String(text)).digest('hex');
+}
+
+function hashAuditEntry(entry) {
+  const { hash, ...rest } = entry;
+  return sha256(JSON.stringify(rest));
+}
+
+function readAuditEntries() {
+  if (!existsSync(AUDIT_LOG_PATH)) return [];
+  return readFileSync(AUDIT_LOG_PATH, 'utf-8').split('\n').filter(Boolean).map((line, i) => {
+    try { return JSON.parse(line); } catch { return { invalid: true, line: i + 1 }; }
+  });
+}
+
+function writeAuditEntry(fields) {
+  const entry = { seq: auditTail.seq + 1, ...fields, prev_hash: auditTail.hash };
+  entry.hash = hashAuditEntry(entry);
+  appendFileSync(AUDIT_LOG_PATH, JSON.stringify(entry) + '\n', 'utf-8');
+  auditTail = { seq: entry.seq, hash: entry.hash };
+  return entry;
+}
+
+function appendAuditEntry(fields) {
+  if (!auditTail) {
+    const entries = readAuditEntries();
+    let lastValid = entries.length;
+    while (lastValid > 0 && entries[lastValid - 1].invalid) lastValid--;
+    const last = entries[lastValid - 1];
+    auditTail = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: AUDIT_GENESIS_HASH };
+    if (lastValid < entries.length) {
+      const brokenAt = entries[lastValid].line;
+      console.error(`  ⚠  Audit log line ${brokenAt} can't be parsed; recording the chain break before the next entry`);
+      writeAuditEntry({ ts: new Date().toISOString(), type: 'AUDIT_CHAIN_BROKEN', broken_at_line: brokenAt, unreadable_lines: entries.length - lastValid });
+    }
+  }
+  return writeAuditEntry(fields);
+}
+
+/**
+ * Walk the audit log and check every entry's hash and its link to the
+ * previous entry. Returns { ok, entries, error, breaks } where error names
+ * the first broken line. Unreadable lines followed by an AUDIT_CHAIN_BROKEN
+ * entry are listed in breaks and the walk goes on, but the log still fails.
+ */
+function verifyAuditLog() {
+  const entries = readAuditEntries();
+  const breaks = [];
+  let prev = AUDIT_GENESIS_HASH, seq = 0;
+  for (let i = 0; i < entries.length; i++) {
+    const e = entries[i];
+    const fail = message => ({ ok: false, entries: entries.length, error: { line: i + 1, seq: e.seq ?? null, message }, breaks });
+    if (e.invalid) {
+      let next = i;
+      while (entries[next]?.invalid) next++;
+      const marker = entries[next];
+      if (marker?.type !== 'AUDIT_CHAIN_BROKEN' || marker.broken_at_line !== i + 1) return fail('Line is not valid JSON');
+      breaks.push({ line: i + 1, unreadable_lines: next - i, seq: marker.seq });
+      i = next - 1;
+      continue;
+    }
+    if (e.seq !== seq + 1) return fail(`Expected seq ${seq + 1}, found ${e.seq} — entries were removed or reordered`);
+    if (e.prev_hash !== prev) return fail('prev_hash does not match the previous entry — the chain is broken');
+    if (hashAuditEntry(e) !== e.hash) return fail('Entry hash mismatch — the entry was modified');
+    prev = e.hash;
+    seq = e.seq;
+  }
+  if (breaks.length) {
+    const [first] = breaks;
+    return { ok: false, entries: entries.length, error: { line: first.line, seq: first.seq, message: `Line is not valid JSON — recorded as a chain break at seq ${first.seq}` }, breaks };
+  }
+  return { ok: true, entries: entries.length, error: null, breaks };
+}
+
+// ── Terminal Chat ────────────────────────────────────────────────────────────
+//
+// `node server.mjs chat` is a client for hosts where a browser isn't an
+// option. It uses the same API as the web UI: /api/chat for the streamed
+// reply, /api/execute for approved actions and /api/events for their output,
+// so every action passes the same path checks, command policy, auto-approve
+// rules and audit log. With nothing listening on this install's port it
+// starts the server in this process. It never does so next to a running one:
+// boot() takes over the job files and the audit chain of this directory.
+
+const CHAT_USAGE = `Usage: node server.mjs chat [options]
+
+  --url URL       attach to the MiddleClaw server at URL (default: this install's port)
+  --token TOKEN   API token for that server; MIDDLECLAW_TOKEN works too
+  --session ID    continue an existing session instead of starting a new one
+
+In the chat, /exit or Ctrl-D leaves. Ctrl-C stops a reply or cancels a running command.`;
+const CHAT_ACTION_TYPES = ['READ_FILE', 'LIST_DIR', 'TAIL_FILE', 'SEARCH', 'OPENCLAW', 'RUN_CMD', 'RUN_SCRIPT', 'WRITE_FILE', 'SAVE_RUNBOOK', 'PLAN'];
+// Types whose legacy tag carries "target:content", as in the web UI
+const CHAT_ACTIONS_WITH_CONTENT = ['WRITE_FILE', 'RUN_SCRIPT', 'TAIL_FILE', 'SEARCH', 'OPENCLAW', 'SAVE_RUNBOOK', 'PLAN'];
+const CHAT_TAG_RE = new RegExp(`\\[ACTION:(${CHAT_ACTION_TYPES.join('|')}):([\\s\\S]+?)\\[/ACTION\\]`, 'g');
+const CHAT_LEGACY_TAG_RE = new RegExp(`\\[ACTION:(${CHAT_ACTION_TYPES.join('|')}):([^\\]]+)\\]`, 'g');
+// Only the final output, truncated like this, goes back to the model (as in the web UI)
+const CHAT_RESULT_MAX = 4000;
+const CHAT_PREVIEW_LINES = 20;
+
+// Bound before a chat that starts its own server mutes console.log (see runTerminalChat)
+const chatLog = console.log.bind(console);
+
+// The token for a server the chat started itself; it exists only in this process
+let terminalChatToken = null;
+
+function parseChatArgs(argv) {
+  const opts = { url: null, token: process.env.MIDDLECLAW_TOKEN || null, session: null, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--url') opts.url = value().replace(/\/+$/, '');
+    else if (arg === '--token') opts.token = value();
+    else if (arg === '--session') opts.session = value();
+    else if (arg === '-h' || arg === '--help') opts.help = true;
+    // Setup flags apply to a server started by the chat
+    else if (!['-y', '--yes', '-i', '--interactive'].includes(arg)) throw new Error(`Unknown option ${arg}\n\n${CHAT_USAGE}`);
+  }
+  return opts;
+}
+
+// Where `npm start` in this directory listens
+function localServerUrl() {
+  let port = 3333;
+  try { port = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')).port || port; } catch {}
+  return `http://localhost:${Number(process.env.PORT || port)}`;
+}
+
+async function isMiddleclawServer(url) {
+  try {
+    const res = await fetch(`${url}/api/auth/status`, { signal: AbortSignal.timeout(2000) });
+    return res.ok && 'authenticated' in (await res.json());
+  } catch {
+    return false;
+  }
+}
+
+// Anything that accepts the connection counts, MiddleClaw or not
+async function portAnswers(url) {
+  try {
+    await fetch(url, { signal: AbortSignal.timeout(2000) });
+    return true;
+  } catch (err) {
+    return err.cause?.code !== 'ECONNREFUSED';
+  }
+}
+
+function chatApi(url, token) {
+  const request = (method, path, body, signal) => fetch(url + path, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, ...(body === undefined ? {} : { 'Content-Type': 'application/json' }) },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal,
+  });
+  const json = async (method, path, body) => {
+    const res = await request(method, path, body);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `${method} ${path} failed with HTTP ${res.status}`);
+    return data;
+  };
+  return { request, json };
+}
+
+// Read one line; rejects when input ends (Ctrl-D, or the end of piped input)
+async function chatPrompt(ctx, question, prefill) {
+  ctx.rl.setPrompt(question);
+  ctx.rl.prompt();
+  if (prefill) ctx.rl.write(prefill);
+  const { value, done } = await ctx.lines.next();
+  if (done) throw Object.assign(new Error('Input closed'), { closed: true });
+  return value;
+}
+
+// The reply as shown while it streams: action tags removed, and a tag that may be starting held back
+function visibleReplyText(full) {
+  let text = full.replace(CHAT_TAG_RE, '').replace(CHAT_LEGACY_TAG_RE, '');
+  const open = text.lastIndexOf('[');
+  const tail = open === -1 ? '' : text.slice(open);
+  if (tail && (tail.startsWith('[ACTION') || '[ACTION'.startsWith(tail))) text = text.slice(0, open);
+  return text;
+}
+
+function newChatAction(type, target, content) {
+  return { type, target, content: content ?? null, status: 'pending', result: null, resultSuccess: null, id: `act_${Date.now()}_${Math.random()}` };
+}
+
+// Actions from native tool calls, then from text tags for models without tool support
+function extractChatActions(full, toolActs) {
+  const acts = toolActs.map(a => newChatAction(a.type, a.target, a.content));
+  const fromTag = m => {
+    const raw = m[2].trimEnd();
+    const ci = CHAT_ACTIONS_WITH_CONTENT.includes(m[1]) ? raw.indexOf(':') : -1;
+    return ci === -1 ? newChatAction(m[1], raw) : newChatAction(m[1], raw.slice(0, ci), raw.slice(ci + 1).trimEnd());
+  };
+  for (const m of full.matchAll(CHAT_TAG_RE)) acts.push(fromTag(m));
+  for (const m of full.replace(CHAT_TAG_RE, '').matchAll(CHAT_LEGACY_TAG_RE)) acts.push(fromTag(m));
+  return acts;
+}
+
+function printChatAction(act, step) {
+  const where = step ? `Plan step ${step.index + 1} of ${step.total}: ` : '';
+  chatLog(`\n  → ${where}${act.type} ${act.target}`);
+  if (step?.rationale) chatLog(`    ${step.rationale}`);
+  if (act.content) {
+    const lines = act.content.split('\n');
+    for (const line of lines.slice(0, CHAT_PREVIEW_LINES)) chatLog(`    │ ${line}`);
+    if (lines.length > CHAT_PREVIEW_LINES) chatLog(`    │ … ${lines.length - CHAT_PREVIEW_LINES} more lines`);
+  }
+}
+
+async function printWritePreview(ctx, act) {
+  try {
+    const p = await ctx.api.json('POST', '/api/preview', { type: act.type, target: act.target, content: act.content || '' });
+    if (!p.writable) chatLog(`    ⚠  Not writable: ${p.reason}`);
+    if (p.new_file) chatLog('    Creates a new file.');
+    else if (p.too_large) chatLog('    The change is too large to show as a diff.');
+    else if (p.diff) chatLog(p.diff.split('\n').map(line => `    ${line}`).join('\n'));
+  } catch (err) {
+    chatLog(`    ⚠  Could not preview the change: ${err.message}`);
+  }
+}
+
+// Multi-line content is edited in $VISUAL or $EDITOR; single lines at the prompt
+async function editChatAction(ctx, act) {
+  act.target = (await chatPrompt(ctx, '    target: ', act.target)).trim() || act.target;
+  if (act.content == null) return;
+  if (!act.content.includes('\n')) {
+    act.content = await chatPrompt(ctx, '    content: ', act.content);
+    return;
+  }
+  const editor = process.env.VISUAL || process.env.EDITOR;
+  if (!editor) return chatLog('    Set $EDITOR to edit multi-line content; the content is unchanged.');
+  const file = join(tmpdir(), `middleclaw-edit-${process.pid}.txt`);
+  writeFileSync(file, act.content, 'utf-8');
+  ctx.rl.pause();
+  try {
+    spawnSync(`${editor} "${file}"`, { shell: true, stdio: 'inherit' });
+    act.content = readFileSync(file, 'utf-8');
+  } finally {
+    ctx.rl.resume();
+    try { unlinkSync(file); } catch {}
+  }
+}
+
+// Follow /api/events for this session: live output of the running action, and completions
+function watchChatEvents(ctx) {
+  const controller = new AbortController();
+  (async () => {
+    while (!controller.signal.aborted) {
+      try {
+        const res = await ctx.api.request('GET', `/api/events?sessions=${ctx.session.id}&client=${ctx.clientId}`, undefined, controller.signal);
+        for await (const line of readLines(res)) {
+          if (!line.startsWith('data: ')) continue;
+          let ev;
+          try { ev = JSON.parse(line.slice(6)); } catch { continue; }
+          if (ev.type === 'action-output' && ev.actionId === ctx.running?.actionId) {
+            ctx.liveOutput = ev.chunk;
+            (ev.stream === 'stderr' ? process.stderr : process.stdout).write(ev.chunk);
+          } else if (ev.type === 'action-complete') {
+            const waiter = ctx.waiters.get(ev.actionId);
+            if (waiter) waiter(ev);
+            else ctx.completions.set(ev.actionId, ev);
+          }
+        }
+      } catch {}
+      if (!controller.signal.aborted) await new Promise(r => setTimeout(r, 1000));
+    }
+  })();
+  return controller;
+}
+
+function waitForChatCompletion(ctx, actionId) {
+  const done = ctx.completions.get(actionId);
+  if (done) {
+    ctx.completions.delete(actionId);
+    return Promise.resolve(done);
+  }
+  return new Promise(resolve => ctx.waiters.set(actionId, ev => {
+    ctx.waiters.delete(actionId);
+    resolve(ev);
+  }));
+}
+
+/**
+ * Execute an approved action through /api/execute and record its result in
+ * the conversation the way the web UI does. Returns false when it didn't run
+ * and the user should be asked again.
+ */
+async function runChatAction(ctx, act, rule) {
+  let data;
+  try {
+    data = await ctx.api.json('POST', '/api/execute', {
+      type: act.type, target: act.target, content: act.content, sessionId: ctx.session.id,
+      clientId: ctx.clientId, approvedAt: new Date().toISOString(), autoApproved: !!rule,
+    });
+  } catch (err) {
+    chatLog(`    ✗ Error: ${err.message}`);
+    return false;
+  }
+  if (rule && data.notAutoApproved) {
+    chatLog(`    ${data.result}`);
+    return false;
+  }
+  if (data.status === 'running') {
+    act.status = 'running';
+    act.actionId = data.actionId;
+    ctx.running = act;
+    ctx.liveOutput = '';
+    chatLog(data.background ? '    Running in the background (Ctrl-C cancels)…' : '    Running (Ctrl-C cancels)…');
+    data = await waitForChatCompletion(ctx, data.actionId);
+    ctx.running = null;
+    if (!ctx.liveOutput || data.data) chatLog(String(data.result).replace(/^/gm, '    '));
+    else if (!ctx.liveOutput.endsWith('\n')) process.stdout.write('\n');
+    act.status = data.success ? 'approved' : 'denied';
+    act.exitCode = data.exitCode;
+    if (data.data) act.data = data.data;
+  } else {
+    chatLog(String(data.result).replace(/^/gm, '    '));
+    act.status = 'approved';
+  }
+  act.result = data.result;
+  act.resultSuccess = data.success;
+  if (rule) act.autoApproved = { id: rule.id, scope: rule.scope, description: rule.description };
+
+  const why = data.cancelled ? ' (cancelled by user)' : data.timedOut ? ' (timed out)' : data.status === 'interrupted' ? ' (interrupted by a server restart)' : data.exitCode != null ? ` (exit code ${data.exitCode})` : '';
+  chatLog(data.success ? `    ✓ Done${why}` : `    ✗ Failed${why}`);
+  let result = String(data.result ?? '');
+  if (result.length > CHAT_RESULT_MAX) result = `${result.slice(0, CHAT_RESULT_MAX)}\n…[truncated — ${data.result.length} total characters]`;
+  const edited = act.edited ? ' (edited by the user)' : '';
+  ctx.session.conversation.push({ role: 'user', content: `[Result of ${act.type} on "${act.target}"${edited}]: ${data.success ? 'SUCCESS' : `FAILED${why}`}\n${result}` });
+  if (act.actionId) await ctx.api.request('POST', `/api/actions/${encodeURIComponent(act.actionId)}/ack`).catch(() => {});
+  return true;
+}
+
+/** Show an action and ask for approval, unless an auto-approve rule covers it. Returns whether it ran. */
+async function reviewChatAction(ctx, act, step) {
+  printChatAction(act, step);
+  if (!['PLAN', 'SAVE_RUNBOOK'].includes(act.type)) {
+    const { rule } = await ctx.api.json('POST', '/api/auto-approve/check', { type: act.type, target: act.target, sessionId: ctx.session.id }).catch(() => ({}));
+    if (rule) {
+      chatLog(`    Auto-approved by ${rule.scope === 'session' ? 'a rule for this chat' : 'a global rule'}: ${rule.description}`);
+      if (await runChatAction(ctx, act, rule)) return true;
+    }
+  }
+  if (act.type === 'WRITE_FILE') await printWritePreview(ctx, act);
+  for (;;) {
+    const answer = (await chatPrompt(ctx, '  [a]pprove / [d]eny / [e]dit? ')).trim().toLowerCase();
+    if (answer === 'a' || answer === 'approve') {
+      if (await runChatAction(ctx, act)) return true;
+    } else if (answer === 'd' || answer === 'deny') {
+      act.status = 'denied';
+      act.result = 'Action denied by user.';
+      ctx.session.conversation.push({ role: 'user', content: `[User DENIED the action: ${act.type} on "${act.target}"]` });
+      chatLog('    ✗ Denied');
+      return false;
+    } else if (answer === 'e' || answer === 'edit') {
+      const before = `${act.target}\0${act.content}`;
+      await editChatAction(ctx, act);
+      if (`${act.target}\0${act.content}` !== before) act.edited = true;
+      printChatAction(act, step);
+      if (act.type === 'WRITE_FILE') await printWritePreview(ctx, act);
+    }
+  }
+}
+
+// A plan's steps are reviewed one by one, like separate actions
+function expandChatPlan(act) {
+  let steps;
+  try { steps = JSON.parse(act.content || '{}').steps; } catch {}
+  steps = (Array.isArray(steps) ? steps : []).filter(s => s && CHAT_ACTION_TYPES.includes(s.type) && !['PLAN', 'SAVE_RUNBOOK'].includes(s.type) && typeof s.target === 'string' && s.target);
+  return steps.map((s, index) => ({
+    act: newChatAction(s.type, s.target, typeof s.content === 'string' ? s.content : null),
+    step: { index, total: steps.length, rationale: String(s.rationale || '') },
+  }));
+}
+
+/**
+ * Stream one reply from /api/chat to the terminal and add it to the session.
+ * Returns the actions it proposed.
+ */
+async function streamChatReply(ctx) {
+  const { session } = ctx;
+  ctx.abort = new AbortController();
+  let full = '', shown = 0, aborted = false;
+  const toolActs = [], toolCalls = [];
+  process.stdout.write('\nMiddleClaw: ');
+  try {
+    const res = await ctx.api.request('POST', '/api/chat', { messages: session.conversation, ...(session.llm || {}) }, ctx.abort.signal);
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      const message = `Error: ${err.detail || err.error || res.statusText}`;
+      chatLog(message);
+      session.conversation.push({ role: 'assistant', content: message });
+      session.rendered.push({ role: 'assistant', content: message });
+      return [];
+    }
+    for await (const line of readLines(res)) {
+      if (!line.startsWith('data: ')) continue;
+      let ev;
+      try { ev = JSON.parse(line.slice(6)); } catch { continue; }
+      if (ev.type === 'action') {
+        toolActs.push(ev.action);
+        if (ev.tool_call) toolCalls.push(ev.tool_call);
+      } else if (ev.type === 'context' && ev.summary) {
+        // The server condensed older messages; keep the shorter history from now on
+        session.conversation.splice(0, ev.replaces, ev.summary);
+      } else if (ev.type === 'delta' || ev.type === 'error') {
+        full += ev.type === 'delta' ? ev.content : `\n\n[${ev.message}]`;
+        const visible = visibleReplyText(full);
+        if (visible.length > shown) {
+          process.stdout.write(visible.slice(shown));
+          shown = visible.length;
+        }
+      }
+    }
+  } catch (err) {
+    if (ctx.abort.signal.aborted) aborted = true;
+    else full += `\n\n[Connection interrupted: ${err.message}. Try sending your message again.]`;
+  }
+  ctx.abort = null;
+  if (!full.trim() && !toolActs.length) {
+    full = session.conversation.length <= 1
+      ? "Hello! I'm MiddleClaw, your OpenClaw Bridge assistant. How can I help you today?"
+      : "I wasn't able to generate a response — the conversation may be too long. Try starting a new session or shortening your last message.";
+  }
+  const rest = visibleReplyText(full).slice(shown).trimEnd();
+  process.stdout.write(`${rest}${aborted ? ' [stopped]' : ''}\n`);
+  session.conversation.push(toolCalls.length ? { role: 'assistant', content: full, tool_calls: toolCalls } : { role: 'assistant', content: full });
+  const entry = { role: 'assistant', content: full, actions: [] };
+  session.rendered.push(entry);
+  if (aborted) return [];
+  ctx.entry = entry;
+  return extractChatActions(full, toolActs);
+}
+
+async function saveChatSession(ctx) {
+  const { id, label, conversation, rendered } = ctx.session;
+  try {
+    await ctx.api.json('PUT', `/api/sessions/${encodeURIComponent(id)}`, { label, conversation, rendered });
+  } catch (err) {
+    chatLog(`  ⚠  Could not save the session: ${err.message}`);
+  }
+}
+
+// The model gets the turn again after every reply whose actions produced a result
+async function runChatTurn(ctx) {
+  for (;;) {
+    const acts = await streamChatReply(ctx);
+    await saveChatSession(ctx);
+    let ran = false;
+    for (const act of acts) {
+      const items = act.type === 'PLAN' ? expandChatPlan(act) : [{ act }];
+      if (act.type === 'PLAN') chatLog(`\n  Plan: ${act.target} (${items.length} step${items.length === 1 ? '' : 's'})`);
+      for (const { act: a, step } of items) {
+        ctx.entry.actions.push(a);
+        if (await reviewChatAction(ctx, a, step)) ran = true;
+        await saveChatSession(ctx);
+      }
+    }
+    if (!ran) return;
+  }
+}
+
+async function runTerminalChat() {
+  const opts = parseChatArgs(args.slice(1));
+  if (opts.help) return chatLog(CHAT_USAGE);
+
+  let url = opts.url || localServerUrl();
+  let token = opts.token;
+  const attach = await isMiddleclawServer(url);
+  if (!attach && opts.url) throw new Error(`No MiddleClaw server answers at ${opts.url}`);
+  if (!attach && await portAnswers(url)) {
+    throw new Error(`Something other than MiddleClaw is listening on ${url}. Stop it, or attach to a MiddleClaw server with --url.`);
+  }
+  if (!attach) {
+    terminalChatToken = randomBytes(24).toString('base64url');
+    token = terminalChatToken;
+    await boot();
+    url = localServerUrl();
+    for (let i = 0; i < 50 && !(await isMiddleclawServer(url)); i++) await new Promise(r => setTimeout(r, 200));
+    // The server's request log would interleave with the conversation; errors still reach stderr
+    console.log = () => {};
+  } else if (!token) {
+    throw new Error(`Attaching to ${url} needs an API token. Create one under Settings → Access, then pass --token or set MIDDLECLAW_TOKEN.`);
+  }
+
+  const api = chatApi(url, token);
+  const session = opts.session
+    ? await api.json('GET', `/api/sessions/${encodeURIComponent(opts.session)}`)
+    : await api.json('POST', '/api/sessions', { label: 'Terminal chat' });
+  session.conversation ||= [];
+  session.rendered ||= [];
+
+  const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: !!process.stdin.isTTY });
+  const ctx = { api, rl, lines: rl[Symbol.asyncIterator](), session, clientId: `terminal-${process.pid}`, abort: null, running: null, entry: null, liveOutput: '', waiters: new Map(), completions: new Map() };
+  const events = watchChatEvents(ctx);
+  rl.on('SIGINT', () => {
+    if (ctx.abort) return ctx.abort.abort();
+    if (ctx.running?.actionId) {
+      chatLog('\n    Cancelling…');
+      return void api.request('DELETE', `/api/actions/${encodeURIComponent(ctx.running.actionId)}`).catch(() => {});
+    }
+    rl.close();
+  });
+
+  chatLog(`\n  MiddleClaw terminal chat — ${url}${attach ? '' : ' (started here)'}`);
+  chatLog(`  Session ${session.id}${session.conversation.length ? ` continued, ${session.conversation.length} messages` : ''}. /exit or Ctrl-D leaves.`);
+  try {
+    for (;;) {
+      const text = (await chatPrompt(ctx, '\nyou> ')).trim();
+      if (!text) continue;
+      if (text === '/exit' || text === '/quit') break;
+      if (!session.conversation.length) session.label = text.length > 30 ? `${text.slice(0, 30)}…` : text;
+      session.conversation.push({ role: 'user', content: text });
+      session.rendered.push({ role: 'user', content: text });
+      await runChatTurn(ctx);
+    }
+  } catch (err) {
+    if (!err.closed) throw err;
+  } finally {
+    events.abort();
+    rl.close();
+  }
+  await saveChatSession(ctx);
+  chatLog(`\n  Session saved as ${session.id}. Continue it with: node server.mjs chat --session ${session.id}\n`);
+  process.exit(0);
+}
+
+// ── Boot ──────────────────────────────────────────────────────────────────────
+
+async function boot() {
+
+const config = await ensureAdminPassword(await runSetup());
+
+const app = express();
+// Live settings — reassigned by applyConfig() when the config changes (see Live Configuration)
+let PORT = Number(process.env.PORT || config.port || 3333);
+let PROVIDER = LLM_PROVIDERS[config.provider] ? config.provider : 'ollama';
+let OLLAMA_URL = process.env.OLLAMA_URL || config.ollama_url || 'http://localhost:11434';
+let OPENAI_URL = (config.openai_url || LLM_PROVIDERS.openai.defaultUrl).replace(/\/+$/, '');
+let MODEL = process.env.DOCTORCLAW_MODEL || config.model || 'glm-4.7:cloud';
+// Context window in tokens; 0 means ask the provider for the model's size
+let CONTEXT_WINDOW = config.context_window || 0;
+
+// Connection settings for a provider id
+function providerSettings(provider) {
+  return provider === 'openai' ? { url: OPENAI_URL, apiKey: getSecret('openai_api_key') } : { url: OLLAMA_URL };
+}
+let OPENCLAW_DIR = config.openclaw_dir || '/opt/openclaw';
+let OPENCLAW_WORKSPACE_DIR = config.openclaw_workspace_dir || join(OPENCLAW_DIR, 'workspace');
+let OS_TYPE = config.os || 'linux';
+let GATEWAY_URL = config.gateway_url || DEFAULTS.gateway_url;
+let SERVICES = config.services || DEFAULTS.services;
+const BACKUP_DIR = join(__dirname, '.middleclaw-backups');
+const BACKUP_INDEX_PATH = join(BACKUP_DIR, 'index.json');
+
+// ── Authentication ──────────────────────────────────────────────────────────
+//
+// Every /api/* route, /api/events and /ws/stt require either a session cookie
+// (set by POST /api/auth/login, used by the web UI) or an API token sent as
+// `Authorization: Bearer <token>` (for scripts). Static files stay public so
+// the login screen can load.
+
+const SESSION_COOKIE = 'middleclaw_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 60 * 1000;
+const PUBLIC_API_PATHS = new Set(['/auth/login', '/auth/logout', '/auth/status']);
+
+let AUTH = config.auth;
+const authSessions = new Map(); // session id → expiry (ms)
+const loginFailures = new Map(); // client ip → { count, until }
+
+function saveAuthConfig() {
+  let current = {};
+  try { current = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')); } catch {}
+  current.auth = AUTH;
+  writeConfigFile(current);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq <= 0) continue;
+    // A malformed value is skipped, so the request is simply unauthenticated
+    try { cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim()); } catch {}
+  }
+  return cookies;
+}
+
+/**
+ * Identify the caller of an HTTP request or WebSocket upgrade.
+ * Returns { method: 'session'|'token', id } or null if unauthenticated.
+ */
+function authenticateRequest(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (bearer) {
+    const hash = hashToken(bearer[1]);
+    if (terminalChatToken && hash === hashToken(terminalChatToken)) return { method: 'token', id: 'terminal-chat' };
+    const token = (AUTH.tokens || []).find(t => t.hash === hash);
+    return token ? { method: 'token', id: token.id } : null;
+  }
+  const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const expires = sid && authSessions.get(sid);
+  if (!expires) return null;
+  if (expires < Date.now()) {
+    authSessions.delete(sid);
+    return null;
+  }
+  return { method: 'session', id: sid };
+}
+
+function sessionCookie(req, value, maxAgeMs) {
+  const secure = req.secure ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure}`;
+}
+
+function rejectUnauthenticated(res) {
+  res.setHeader('WWW-Authenticate', 'Bearer realm="MiddleClaw"');
+  return res.status(401).json({ error: 'Authentication required' });
+}
+
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_API_PATHS.has(req.path)) return next();
+  const auth = authenticateRequest(req);
+  if (!auth) return rejectUnauthenticated(res);
+  req.auth = auth;
+  next();
+});
+
+app.post('/api/auth/login', express.json(), (req, res) => {
+  const ip = req.ip || req.socket.remoteAddress;
+  const failures = loginFailures.get(ip);
+  if (failures && failures.until > Date.now()) {
+    return res.status(429).json({ error: 'Too many failed attempts. Try again in a minute.' });
+  }
+  if (!verifyPassword(req.body?.password || '', AUTH.password_hash)) {
+    const count = (failures?.count || 0) + 1;
+    loginFailures.set(ip, { count, until: count >= LOGIN_MAX_FAILURES ? Date.now() + LOGIN_LOCKOUT_MS : 0 });
+    return rejectUnauthenticated(res);
+  }
+  loginFailures.delete(ip);
+  const sid = randomBytes(32).toString('hex');
+  authSessions.set(sid, Date.now() + SESSION_TTL_MS);
+  res.setHeader('Set-Cookie', sessionCookie(req, sid, SESSION_TTL_MS));
+  res.json({ success: true });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (sid) authSessions.delete(sid);
+  res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+  res.json({ success: true });
+});
+
+app.get('/api/auth/status', (req, res) => {
+  const auth = authenticateRequest(req);
+  res.json({ authenticated: !!auth, method: auth?.method || null });
+});
+
+app.post('/api/auth/password', express.json(), (req, res) => {
+  const { current, password } = req.body || {};
+  if (!verifyPassword(current || '', AUTH.password_hash)) {
+    return res.status(403).json({ error: 'Current password is incorrect' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  AUTH = { ...AUTH, password_hash: hashPassword(password) };
+  saveAuthConfig();
+  // Sign out every other browser session
+  for (const sid of authSessions.keys()) {
+    if (!(req.auth.method === 'session' && sid === req.auth.id)) authSessions.delete(sid);
+  }
+  res.json({ success: true });
+});
+
+app.get('/api/auth/tokens', (_req, res) => {
+  res.json((AUTH.tokens || []).map(({ id, name, created_at }) => ({ id, name, created_at })));
+});
+
+app.post('/api/auth/tokens', express.json(), (req, res) => {
+  const name = String(req.body?.name || '').trim().slice(0, 80);
+  if (!name) return res.status(400).json({ error: 'Token name is required' });
+  const token = 'mc_' + randomBytes(24).toString('base64url');
+  const entry = { id: 'tok_' + randomBytes(6).toString('hex'), name, hash: hashToken(token), created_at: new Date().toISOString() };
+  AUTH = { ...AUTH, tokens: [...(AUTH.tokens || []), entry] };
+  saveAuthConfig();
+  res.json({ id: entry.id, name, created_at: entry.created_at, token });
+});
+
+app.delete('/api/auth/tokens/:id', (req, res) => {
+  const tokens = AUTH.tokens || [];
+  if (!tokens.some(t => t.id === req.params.id)) return res.status(404).json({ error: 'Token not found' });
+  AUTH = { ...AUTH, tokens: tokens.filter(t => t.id !== req.params.id) };
+  saveAuthConfig();
+  res.json({ success: true });
+});
+
+// Drop expired browser sessions
+setInterval(() => {
+  const now = Date.now();
+  for (const [sid, expires] of authSessions) if (expires < now) authSessions.delete(sid);
+}, 60 * 60 * 1000).unref();
+
+// ── Job Store ───────────────────────────────────────────────────────────────
+//
+// RUN_CMD and RUN_SCRIPT actions run as jobs. Each job is a JSON file in
+// .middleclaw-jobs/, so results survive a restart, and stays "unacked" until
+// the session that started it confirms (POST /api/actions/:id/ack) that the
+// result made it into the conversation. Until then it is replayed to every
+// client that connects to /api/events.
+
+const JOB_RETENTION_DAYS = 7; // acknowledged jobs
+const UNACKED_JOB_RETENTION_DAYS = 30;
+const JOB_ID_RE = /^act_\d+_[a-z0-9]+$/;
+
+const jobs = new Map(); // action id → job record (mirrors the file on disk)
+const runningJobs = new Map(); // action id → { child, output, ... } for live processes
+const clientConnections = new Map(); // SSE response → { client, sessions }
+
+function generateActionId() {
+  return 'act_' + Date.now() + '_' + Math.random().toString(36).slice(2, 8);
+}
+
+function saveJob(job) {
+  if (!existsSync(JOBS_DIR)) mkdirSync(JOBS_DIR, { recursive: true });
+  const path = join(JOBS_DIR, `${job.id}.json`);
+  const tmpPath = `${path}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(job), 'utf-8');
+  renameSync(tmpPath, path);
+}
+
+function deleteJob(id) {
+  jobs.delete(id);
+  try { unlinkSync(join(JOBS_DIR, `${id}.json`)); } catch {}
+}
+
+function jobSummary(job) {
+  const { result, ...summary } = job;
+  const end = job.completedAt ? Date.parse(job.completedAt) : Date.now();
+  return { ...summary, actionId: job.id, elapsed_ms: end - Date.parse(job.startedAt), output_bytes: Buffer.byteLength(result || runningJobs.get(job.id)?.output || '') };
+}
+
+function completionEvent(job) {
+  return {
+    actionId: job.id,
+    session: job.session,
+    client: job.client,
+    status: job.status,
+    success: job.status === 'succeeded',
+    result: job.result,
+    exitCode: job.exitCode,
+    cancelled: job.status === 'cancelled',
+    timedOut: job.status === 'timed_out',
+    completedAt: job.completedAt,
+    data: job.data ?? null,
+  };
+}
+
+// Only kill a leftover process if its pid still runs the job's command — pids get reused
+function isLeftoverJobProcess(job) {
+  if (!job.pid || process.platform !== 'linux') return false;
+  try {
+    return readFileSync(`/proc/${job.pid}/cmdline`, 'utf-8').includes(job.argv ? job.argv.join('\0') : job.target);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Load jobs from disk. A job still marked running belongs to a previous
+ * server process: its output pipe is gone, so stop what is left of it and
+ * record it as interrupted with the output captured so far.
+ */
+function loadJobs() {
+  if (!existsSync(JOBS_DIR)) return;
+  for (const file of readdirSync(JOBS_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    let job;
+    try { job = JSON.parse(readFileSync(join(JOBS_DIR, file), 'utf-8')); } catch { continue; }
+    if (!JOB_ID_RE.test(job.id || '')) continue;
+    if (job.status === 'running') {
+      if (isLeftoverJobProcess(job)) {
+        try { process.kill(-job.pid, 'SIGKILL'); } catch {}
+      }
+      job.status = 'interrupted';
+      job.completedAt = new Date().toISOString();
+      job.result = [job.result?.replace(/\n$/, ''), '[Interrupted: MiddleClaw restarted while this job was running]'].filter(Boolean).join('\n');
+      saveJob(job);
+    }
+    jobs.set(job.id, job);
+  }
+}
+
+function pruneJobs() {
+  const now = Date.now();
+  for (const job of jobs.values()) {
+    if (job.status === 'running' || !job.completedAt) continue;
+    const days = job.acked ? JOB_RETENTION_DAYS : UNACKED_JOB_RETENTION_DAYS;
+    if (now - Date.parse(job.completedAt) > days * 86400000) deleteJob(job.id);
+  }
+}
+
+loadJobs();
+pruneJobs();
+setInterval(pruneJobs, 60 * 60 * 1000).unref();
+
+// Jobs run in their own process groups, so Ctrl+C doesn't reach them — stop them on the way out
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    for (const run of runningJobs.values()) killProcessTree(run.child);
+    process.exit(signal === 'SIGINT' ? 130 : 143);
+  });
+}
+
+// ── Event Stream ────────────────────────────────────────────────────────────
+//
+// Events are numbered and kept in a short in-memory buffer. A client that
+// reconnects with Last-Event-ID (or ?lastEventId=) gets what it missed. Ids
+// start from the boot time so they keep increasing across restarts.
+
+const EVENT_BUFFER_SIZE = 2000;
+const eventBuffer = [];
+let lastEventId = Date.now() * 1000;
+
+// Action events only go to clients subscribed to their session or, for
+// session-less actions (API scripts), to the client that started them.
+// Server-wide notices such as config-changed go to everyone.
+function wantsEvent(conn, { event, session, client }) {
+  if (!event.startsWith('action-')) return true;
+  if (session) return conn.sessions.has(session);
+  return !!client && conn.client === String(client).slice(0, 80);
+}
+
+function formatEvent({ id, event, payload }) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify({ type: event, ...payload })}\n\n`;
+}
+
+/** Send a named SSE event to the clients subscribed to its session. */
+function broadcastEvent(event, payload) {
+  const entry = { id: ++lastEventId, event, payload, session: payload.session || null, client: payload.client || null };
+  eventBuffer.push(entry);
+  if (eventBuffer.length > EVENT_BUFFER_SIZE) eventBuffer.shift();
+  const message = formatEvent(entry);
+  for (const [res, conn] of clientConnections) {
+    if (!wantsEvent(conn, entry)) continue;
+    try {
+      res.write(message);
+    } catch (e) {
+      console.warn(`[SSE] Failed to send ${event} to ${conn.client}:`, e.message);
+    }
+  }
+}
+
+// ── Process Runner ──────────────────────────────────────────────────────────
+
+const MAX_ACTION_OUTPUT = 2 * 1024 * 1024;
+const DEFAULT_MAX_JOB_RUNTIME_MINUTES = 30;
+// Upper bound for every command, script and OpenClaw call, foreground or background; 0 means no limit
+let MAX_JOB_RUNTIME_MINUTES = config.max_job_runtime_minutes ?? DEFAULT_MAX_JOB_RUNTIME_MINUTES;
+
+// Read at start time, so a changed limit applies to the next action
+function jobTimeoutMs() {
+  return MAX_JOB_RUNTIME_MINUTES * 60000;
+}
+
+function killProcessTree(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  try {
+    if (process.platform === 'win32') exec(`taskkill /pid ${child.pid} /T /F`);
+    else process.kill(-child.pid, 'SIGKILL');
+  } catch {
+    try { child.kill('SIGKILL'); } catch {}
+  }
+}
+
+/**
+ * Run a shell command as a job, or `command` directly with `args` and no shell.
+ * stdout and stderr are streamed to SSE clients as `action-output` events
+ * while the process runs; when it exits the job record is finalized on disk
+ * and `action-complete` is sent straight away. If the command succeeds,
+ * `parseOutput(stdout)` may return `{ data, text }`: `data` is stored on the
+ * job and sent with the completion, and `text` replaces the raw output as the
+ * result. Returns the action id.
+ */
+function startAction({ type, target, command, args = null, cwd, session = null, client = null, timeoutMs = 0, background = false, parseOutput = null, onExit }) {
+  const actionId = generateActionId();
+  // Own process group on POSIX so a timeout can kill everything the command started
+  const options = { cwd, detached: process.platform !== 'win32', env: process.env };
+  const child = args ? spawn(command, args, options) : spawn(command, { ...options, shell: true });
+  const job = {
+    id: actionId, type, target, session, client, background, status: 'running', pid: child.pid ?? null,
+    startedAt: new Date().toISOString(), completedAt: null, exitCode: null, timeout_ms: timeoutMs || null,
+    result: '', acked: false, ...(args && { argv: args }),
+  };
+  const run = { child, output: '', stdout: '', truncated: false, timedOut: false, cancelled: false, savedAt: 0 };
+  jobs.set(actionId, job);
+  runningJobs.set(actionId, run);
+  saveJob(job);
+
+  const capture = stream => chunk => {
+    if (run.truncated) return;
+    if (run.output.length + chunk.length > MAX_ACTION_OUTPUT) {
+      chunk = chunk.slice(0, MAX_ACTION_OUTPUT - run.output.length);
+      run.truncated = true;
+    }
+    run.output += chunk;
+    if (stream === 'stdout') run.stdout += chunk;
+    broadcastEvent('action-output', { actionId, session, client, stream, chunk });
+    // Checkpoint partial output so a restart can still report what the job printed
+    if (Date.now() - run.savedAt > 2000) {
+      run.savedAt = Date.now();
+      saveJob({ ...job, result: run.output });
+    }
+  };
+  child.stdout.setEncoding('utf-8');
+  child.stderr.setEncoding('utf-8');
+  child.stdout.on('data', capture('stdout'));
+  child.stderr.on('data', capture('stderr'));
+
+  const timer = timeoutMs && setTimeout(() => {
+    run.timedOut = true;
+    killProcessTree(child);
+  }, timeoutMs);
+
+  const finish = (exitCode, signal, errorMessage) => {
+    if (job.status !== 'running') return;
+    clearTimeout(timer);
+    runningJobs.delete(actionId);
+    const success = exitCode === 0 && !run.timedOut && !run.cancelled;
+    const notes = [];
+    if (run.truncated) notes.push(`…[output truncated at ${MAX_ACTION_OUTPUT} bytes]`);
+    if (run.cancelled) notes.push(`[Cancelled by user after ${Math.round((Date.now() - Date.parse(job.startedAt)) / 1000)}s]`);
+    else if (run.timedOut) notes.push(`[Timed out after ${timeoutMs / 1000}s and was killed]`);
+    else if (errorMessage) notes.push(errorMessage);
+    else if (!success && !run.output) notes.push(signal ? `Killed by ${signal}` : `Command exited with code ${exitCode}`);
+    const result = [run.output.replace(/\n$/, ''), ...notes].filter(Boolean).join('\n');
+    let parsed = null;
+    if (success && parseOutput) {
+      try { parsed = parseOutput(run.stdout); } catch (err) { console.warn(`[Action ${actionId}] Could not parse output: ${err.message}`); }
+    }
+    if (parsed) job.data = parsed.data;
+
+    Object.assign(job, {
+      status: run.cancelled ? 'cancelled' : run.timedOut ? 'timed_out' : success ? 'succeeded' : 'failed',
+      exitCode,
+      result: parsed?.text || result || '(no output)',
+      completedAt: new Date().toISOString(),
+    });
+    saveJob(job);
+    onExit?.({ success, result: job.result, exitCode, cancelled: run.cancelled, timedOut: run.timedOut });
+    console.log(`[Action ${actionId}] ${job.status} (exit ${exitCode ?? signal}), ${job.result.length} bytes, notifying ${clientConnections.size} clients`);
+    broadcastEvent('action-complete', completionEvent(job));
+  };
+  child.on('close', (code, signal) => finish(code, signal));
+  child.on('error', err => finish(null, null, err.message));
+
+  return actionId;
+}
+
+/** Kill a running action's process tree. Returns false if it isn't running. */
+function cancelAction(actionId) {
+  const run = runningJobs.get(actionId);
+  if (!run) return false;
+  run.cancelled = true;
+  killProcessTree(run.child);
+  return true;
+}
+
+function auditStatus({ success, cancelled, timedOut }) {
+  return cancelled ? 'cancelled' : timedOut ? 'timed_out' : success ? 'success' : 'failed';
+}
+
+// Lists running jobs by default; ?status=all (or a specific status), ?session= and ?unacked=1 filter the rest
+app.get('/api/actions', (req, res) => {
+  const { status = 'running', session, client, unacked } = req.query;
+  const list = [...jobs.values()]
+    .filter(j => status === 'all' || j.status === status)
+    .filter(j => !session || j.session === session)
+    .filter(j => !client || j.client === client)
+    .filter(j => !unacked || !j.acked)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .map(jobSummary);
+  res.json({ actions: list, max_job_runtime_minutes: MAX_JOB_RUNTIME_MINUTES });
+});
+
+app.get('/api/actions/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Action not found' });
+  res.json({ ...jobSummary(job), result: job.status === 'running' ? runningJobs.get(job.id)?.output || '' : job.result });
+});
+
+app.delete('/api/actions/:id', (req, res) => {
+  if (!cancelAction(req.params.id)) return res.status(404).json({ error: 'No running action with that id' });
+  console.log(`[Action ${req.params.id}] Cancelled by user`);
+  res.json({ success: true });
+});
+
+// The owning session confirms it has recorded the result; the job stops being replayed
+app.post('/api/actions/:id/ack', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Action not found' });
+  if (job.status === 'running') return res.status(409).json({ error: 'Action is still running' });
+  if (!job.acked) {
+    job.acked = true;
+    job.ackedAt = new Date().toISOString();
+    saveJob(job);
+  }
+  res.json({ success: true });
+});
+
+// ── SSE Endpoint for async action updates ───────────────────────────────────
+
+app.get('/api/events-test', (req, res) => {
+  console.log('[DEBUG] /api/events-test called');
+  res.json({test: 'ok', message: 'This route works'});
+});
+
+// Subscribe with ?sessions=<id>,<id>&client=<id>. EventSource can't send custom headers,
+// so the subscription lives in the query string.
+app.get('/api/events', (req, res) => {
+  const client = String(req.query.client || 'anonymous').slice(0, 80);
+  const sessions = new Set(String(req.query.sessions || '').split(',').filter(id => SESSION_ID_RE.test(id)));
+  const cursor = Number(req.headers['last-event-id'] || req.query.lastEventId) || 0;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  const conn = { client, sessions };
+  clientConnections.set(res, conn);
+  console.log(`[SSE] Client connected: ${client} (${sessions.size} sessions), Total clients: ${clientConnections.size}`);
+
+  // Replay buffered events the client missed while disconnected
+  const replayed = new Set();
+  if (cursor) {
+    for (const entry of eventBuffer) {
+      if (entry.id <= cursor || !wantsEvent(conn, entry)) continue;
+      res.write(formatEvent(entry));
+      if (entry.event === 'action-complete') replayed.add(entry.payload.actionId);
+    }
+  }
+
+  // Replay finished jobs whose results haven't been acknowledged yet
+  for (const job of jobs.values()) {
+    if (job.status === 'running' || job.acked || replayed.has(job.id) || !wantsEvent(conn, { event: 'action-complete', session: job.session, client: job.client })) continue;
+    res.write(`event: action-complete\ndata: ${JSON.stringify({ type: 'action-complete', ...completionEvent(job) })}\n\n`);
+    console.log(`[SSE] Replayed unacknowledged result ${job.id} to client ${client}`);
+  }
+
+  // Send heartbeat to keep connection alive
+  const heartbeat = setInterval(() => {
+    try {
+      res.write('data: {"type":"heartbeat"}\n\n');
+    } catch {
+      clearInterval(heartbeat);
+      clientConnections.delete(res);
+      console.log(`[SSE] Client disconnected (heartbeat failed): ${client}`);
+    }
+  }, 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clientConnections.delete(res);
+    console.log(`[SSE] Client disconnected: ${client}`);
+  });
+});
+
+// ── Safety ──────────────────────────────────────────────────────────────────
+
+
+const DEFAULT_READ_PATHS = [
+  '/etc/', '/var/log/', '/var/lib/', '/tmp/',
+  '/home/', '/opt/', '/usr/local/etc/',
+  '/proc/cpuinfo', '/proc/meminfo', '/proc/loadavg',
+  '/proc/version', '/proc/uptime', '/proc/net/',
+];
+
+const DEFAULT_WRITE_PATHS = [
+  '/tmp/',
+];
+
+// Build live path lists from config (or defaults on first run)
+let SAFE_READ_PATHS = config.read_paths || [...DEFAULT_READ_PATHS, OPENCLAW_DIR];
+let SAFE_WRITE_PATHS = config.write_paths || [...DEFAULT_WRITE_PATHS, process.cwd(), OPENCLAW_DIR];
+// Deny entries win over any allow entry. They may use * to match within one path component.
+let DENY_PATHS = config.deny_paths || [...DEFAULTS.deny_paths];
+
+// Shell-aware allow/deny rules for RUN_CMD and RUN_SCRIPT (see DEFAULT_COMMAND_POLICY)
+let COMMAND_POLICY = config.command_policy || DEFAULT_COMMAND_POLICY;
+let compiledCommandPolicy = compileCommandPolicy(COMMAND_POLICY);
+
+// Global auto-approve rules (see Auto-approve Rules); session rules live in sessionAutoApprove
+let AUTO_APPROVE_RULES = config.auto_approve || [];
+
+function checkCommandPolicy(cmd) {
+  return evaluateCommandPolicy(cmd, compiledCommandPolicy);
+}
+
+function describePolicyBlock(decision) {
+  const where = decision.segment ? ` in \`${decision.segment}\`` : '';
+  return `rule "${decision.rule}"${where} — ${decision.reason}`;
+}
+
+/**
+ * Resolve a path to its canonical, symlink-free form. Paths that don't exist
+ * yet are resolved through their deepest existing ancestor, and dangling
+ * symlinks are followed by hand, so a write can't escape through either.
+ */
+function canonicalPath(filepath, depth = 0) {
+  const abs = resolve(filepath);
+  try { return realpathSync(abs); } catch {}
+  try {
+    if (depth < 40 && lstatSync(abs).isSymbolicLink()) {
+      return canonicalPath(resolve(dirname(abs), readlinkSync(abs)), depth + 1);
+    }
+  } catch {}
+  const parent = dirname(abs);
+  if (parent === abs) return abs;
+  return join(canonicalPath(parent, depth), basename(abs));
+}
+
+function globToRegExp(pattern) {
+  const body = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/\\\\]*');
+  return new RegExp(`^${body}(?:[/\\\\].*)?$`);
+}
+
+/**
+ * True if `filepath` is the entry itself or lies beneath it. Matching is done
+ * on whole path components, so "/tmp" covers "/tmp/x" but not "/tmpfoo".
+ */
+function matchesPathEntry(filepath, entry) {
+  if (!entry) return false;
+  const trimmed = entry.length > 1 ? entry.replace(/[/\\]+$/, '') : entry;
+  if (trimmed.includes('*')) return globToRegExp(resolve(trimmed)).test(filepath);
+  const base = canonicalPath(trimmed);
+  return filepath === base || filepath.startsWith(base.endsWith(sep) ? base : base + sep);
+}
+
+function findDenyMatch(...paths) {
+  return DENY_PATHS.find(d => paths.some(p => matchesPathEntry(p, d)));
+}
+
+/**
+ * Check a path against the deny list and the read or write allow list.
+ * Both the path as given (normalized) and its symlink-resolved target must
+ * pass. Returns the canonical path, which callers should use for all I/O.
+ * @param {string} filepath
+ * @param {'read'|'write'} mode
+ * @returns {{ ok: boolean, path: string, reason: string|null }}
+ */
+function checkPathAccess(filepath, mode) {
+  const lexical = resolve(filepath);
+  const real = canonicalPath(lexical);
+  const via = real !== lexical ? ` (resolves to "${real}")` : '';
+  const denied = findDenyMatch(lexical, real);
+  if (denied) {
+    return { ok: false, path: real, reason: `"${filepath}"${via} matches deny_paths entry "${denied}"` };
+  }
+  const allowList = mode === 'write' ? SAFE_WRITE_PATHS : SAFE_READ_PATHS;
+  const isAllowed = p => allowList.some(entry => matchesPathEntry(p, entry));
+  if (!isAllowed(lexical) || !isAllowed(real)) {
+    return { ok: false, path: real, reason: `"${filepath}"${via} is outside allowed ${mode} paths` };
+  }
+  return { ok: true, path: real, reason: null };
+}
+
+function backupFile(filepath) {
+  const source = canonicalPath(filepath);
+  if (!existsSync(source)) return null;
+  const denied = findDenyMatch(resolve(filepath), source);
+  if (denied) throw new Error(`Refusing to back up "${source}": matches deny_paths entry "${denied}"`);
+  if (!existsSync(BACKUP_DIR)) mkdirSync(BACKUP_DIR, { recursive: true });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupName = source.replace(/\//g, '__') + `.${timestamp}.bak`;
+  const backupPath = join(BACKUP_DIR, backupName);
+  copyFileSync(source, backupPath);
+  // Record the original path — the mangled name can't be decoded reliably if it contained "__"
+  const index = readBackupIndex();
+  index[backupName] = source;
+  writeBackupIndex(index);
+  pruneBackups(source);
+  return backupPath;
+}
+
+// ── Read-only Inspection ────────────────────────────────────────────────────
+//
+// LIST_DIR, TAIL_FILE and SEARCH do what the model otherwise asks of ls, tail
+// and grep through RUN_CMD, but every path they touch is checked against
+// read_paths and deny_paths like READ_FILE. Results are capped so a large
+// directory or log can't flood the conversation.
+
+const LIST_DIR_MAX_ENTRIES = 500;
+const TAIL_DEFAULT_LINES = 100;
+const TAIL_MAX_LINES = 2000;
+const TAIL_MAX_BYTES = 1024 * 1024;
+const TAIL_CHUNK_BYTES = 64 * 1024;
+// A filtered tail reads back at most this far looking for matching lines
+const TAIL_SCAN_BYTES = 32 * 1024 * 1024;
+const SEARCH_DEFAULT_MATCHES = 50;
+const SEARCH_MAX_MATCHES = 500;
+const SEARCH_MAX_FILES = 5000;
+const SEARCH_MAX_FILE_BYTES = 5 * 1024 * 1024;
+const SEARCH_MAX_LINE_CHARS = 300;
+const SEARCH_SKIP_DIRS = new Set(['.git', 'node_modules']);
+
+/**
+ * Split an action's option string into leading key=value pairs and a free-text
+ * remainder, e.g. "lines=200 filter=ERROR|WARN" or "glob=*.log timeout". The
+ * remainder may be prefixed with `${restKey}=` and keeps its spaces.
+ */
+function parseActionOptions(text, keys, restKey) {
+  const opts = {};
+  let rest = (text || '').trim();
+  let m;
+  while ((m = rest.match(/^(\w+)=(\S*)(?:\s+|$)/)) && keys.includes(m[1])) {
+    opts[m[1]] = m[2];
+    rest = rest.slice(m[0].length);
+  }
+  if (rest.startsWith(`${restKey}=`)) rest = rest.slice(restKey.length + 1);
+  opts[restKey] = rest || null;
+  return opts;
+}
+
+// Out-of-range counts are clamped to `max`; anything that isn't a count is an error
+function optionCount(name, value, fallback, max) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`${name} must be a positive whole number, got "${value}"`);
+  return Math.min(n, max);
+}
+
+const OPTION_REGEX_MAX_LENGTH = 500;
+
+// These patterns come from the model or a query string, so they're compiled
+// with RE2: matching takes linear time, and a pattern like (a+)+$ can't stall
+// the event loop. The price is no lookaround and no backreferences.
+function optionRegExp(source, ignoreCase) {
+  if (source.length > OPTION_REGEX_MAX_LENGTH) throw new Error(`Regular expression is longer than ${OPTION_REGEX_MAX_LENGTH} characters`);
+  const insensitive = ['true', '1', 'yes'].includes(String(ignoreCase).toLowerCase());
+  let re;
+  try {
+    re = RE2JS.compile(source, insensitive ? RE2JS.CASE_INSENSITIVE : 0);
+  } catch (err) {
+    throw new Error(`Invalid regular expression /${source}/: ${err.message}`);
+  }
+  return { test: text => re.test(text), toString: () => `/${source}/${insensitive ? 'i' : ''}` };
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * List a directory with type, size and modification time, directories first.
+ * Entries matching deny_paths are left out.
+ */
+function listDirectory(dir) {
+  const entries = readdirSync(dir, { withFileTypes: true })
+    .filter(e => !findDenyMatch(join(dir, e.name)))
+    .sort((a, b) => (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name));
+  const rows = entries.slice(0, LIST_DIR_MAX_ENTRIES).map(e => {
+    const full = join(dir, e.name);
+    let st = null;
+    try { st = lstatSync(full); } catch {}
+    const kind = e.isDirectory() ? 'd' : e.isSymbolicLink() ? 'l' : e.isFile() ? '-' : '?';
+    let name = e.isDirectory() ? `${e.name}/` : e.name;
+    if (e.isSymbolicLink()) try { name += ` -> ${readlinkSync(full)}`; } catch {}
+    return `${kind} ${String(st ? st.size : '?').padStart(12)}  ${st ? formatTimestamp(st.mtime) : '?'.padEnd(19)}  ${name}`;
+  });
+  const more = entries.length > LIST_DIR_MAX_ENTRIES ? `\n… ${entries.length - LIST_DIR_MAX_ENTRIES} more entries not shown` : '';
+  return `${entries.length} entries (type, size in bytes, modified UTC, name)\n${rows.join('\n')}${more}`;
+}
+
+/**
+ * Return the last `lines` lines of a file (the last `lines` matching lines if
+ * a filter is given), or its last `bytes` bytes. The file is read backwards in
+ * chunks, so only as much as needed is loaded.
+ * @returns {{ lines: string[], complete: boolean }} complete is false when the
+ *   scan stopped at TAIL_SCAN_BYTES before reaching the start of the file
+ */
+function tailFile(filepath, { lines = TAIL_DEFAULT_LINES, bytes = null, filter = null } = {}) {
+  const { size } = statSync(filepath);
+  const fd = openSync(filepath, 'r');
+  try {
+    if (bytes) {
+      const buf = Buffer.alloc(Math.min(bytes, size));
+      readSync(fd, buf, 0, buf.length, size - buf.length);
+      const all = buf.toString('utf-8').split('\n');
+      if (all.at(-1) === '') all.pop();
+      return { lines: filter ? all.filter(l => filter.test(l)) : all, complete: true };
+    }
+    const found = [];
+    let pos = size, carry = Buffer.alloc(0), atEnd = true;
+    while (pos > 0 && size - pos < TAIL_SCAN_BYTES && found.length < lines) {
+      const n = Math.min(TAIL_CHUNK_BYTES, pos);
+      pos -= n;
+      const buf = Buffer.alloc(n);
+      readSync(fd, buf, 0, n, pos);
+      const block = Buffer.concat([buf, carry]);
+      // Text before the first newline may continue in the chunk before this one
+      const nl = pos > 0 ? block.indexOf(10) : -1;
+      if (pos > 0 && nl === -1) { carry = block; continue; }
+      carry = nl === -1 ? Buffer.alloc(0) : block.subarray(0, nl);
+      const blockLines = block.subarray(nl + 1).toString('utf-8').split('\n');
+      if (atEnd && blockLines.at(-1) === '') blockLines.pop();
+      atEnd = false;
+      for (let i = blockLines.length - 1; i >= 0 && found.length < lines; i--) {
+        if (!filter || filter.test(blockLines[i])) found.unshift(blockLines[i]);
+      }
+    }
+    return { lines: found, complete: pos === 0 || found.length >= lines };
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Search a file, or every readable file under a directory, for lines matching
+ * a regular expression. Symlinked directories aren't followed, and .git and
+ * node_modules are skipped.
+ */
+function searchFiles(root, pattern, { glob = null, max = SEARCH_DEFAULT_MATCHES } = {}) {
+  const nameRe = glob ? new RegExp(`^${glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`) : null;
+  const result = { matches: [], files: 0, filesMatched: 0, tooLarge: 0, truncated: false };
+
+  const searchFile = (file) => {
+    const access = checkPathAccess(file, 'read');
+    if (!access.ok) return;
+    let st;
+    try { st = statSync(access.path); } catch { return; }
+    if (!st.isFile()) return;
+    if (st.size > SEARCH_MAX_FILE_BYTES) { result.tooLarge++; return; }
+    result.files++;
+    let buf;
+    try { buf = readFileSync(access.path); } catch { return; }
+    if (buf.subarray(0, 8000).includes(0)) return; // binary
+    let hit = false;
+    const lines = buf.toString('utf-8').split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      if (!pattern.test(lines[i])) continue;
+      if (result.matches.length >= max) { result.truncated = true; return; }
+      const line = lines[i].trim();
+      result.matches.push(`${file}:${i + 1}: ${line.length > SEARCH_MAX_LINE_CHARS ? line.slice(0, SEARCH_MAX_LINE_CHARS) + '…' : line}`);
+      hit = true;
+    }
+    if (hit) result.filesMatched++;
+  };
+
+  if (!statSync(root).isDirectory()) {
+    searchFile(root);
+    return result;
+  }
+  const stack = [root];
+  while (stack.length && !result.truncated) {
+    const dir = stack.pop();
+    let entries;
+    try { entries = readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name)); } catch { continue; }
+    const subdirs = [];
+    for (const e of entries) {
+      const full = join(dir, e.name);
+      if (e.isDirectory()) {
+        if (!SEARCH_SKIP_DIRS.has(e.name) && !findDenyMatch(full)) subdirs.push(full);
+      } else if (!nameRe || nameRe.test(e.name)) {
+        if (result.files >= SEARCH_MAX_FILES) { result.truncated = true; break; }
+        searchFile(full);
+        if (result.truncated) break;
+      }
+    }
+    stack.push(...subdirs.reverse());
+  }
+  return result;
+}
+
+// ── Middleware ───────────────────────────────────────────────────────────────
+
+app.use(express.json({ limit: '5mb' }));
+const staticPath = join(__dirname, 'public');
+console.log(`  Static files: ${staticPath}`);
+
+// Cache-busting for static files to prevent stale frontend code
+app.use((req, res, next) => {
   const isHTML = req.path === '/' || req.path.endsWith('.html');
   const isAsset = req.path.endsWith('.js') || req.path.endsWith('.css') || req.path.startsWith('/static/');
   if (isHTML || isAsset) {
@@ -798,204 +3308,1664 @@ app.use((req, res, next) => {
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
   }
-  next();
+  next();
+});
+app.use(express.static(staticPath));
+
+// Fallback if index.html is missing
+app.get('/', (_req, res) => {
+  const indexPath = join(staticPath, 'index.html');
+  if (existsSync(indexPath)) {
+    res.sendFile(indexPath);
+  } else {
+    res.status(404).send(`
+      <h2>public/index.html not found</h2>
+      <p>Expected at: <code>${indexPath}</code></p>
+      <p>Make sure the <code>public/</code> folder is in the same directory as <code>server.mjs</code>.</p>
+    `);
+  }
+});
+
+// ── Live Configuration ──────────────────────────────────────────────────────
+//
+// Every setting in middleclaw.config.json is applied without a restart: saves
+// from the Settings panel go through applyConfig(), and external edits to the
+// file are picked up by a watcher, validated, and applied the same way. An
+// invalid edit is rejected as a whole and the running config stays in place.
+// PORT, OLLAMA_URL and DOCTORCLAW_MODEL environment variables still pin their
+// settings.
+
+const LIVE_SETTINGS = ['port', 'provider', 'ollama_url', 'openai_url', 'model', 'context_window', 'openclaw_dir', 'openclaw_workspace_dir', 'os', 'gateway_url', 'services', 'read_paths', 'write_paths', 'deny_paths', 'command_policy', 'auto_approve', 'backup_retention', 'max_job_runtime_minutes', 'secrets_encryption'];
+
+/**
+ * Apply a full, validated config to the running server. A port change moves
+ * the listener first; if the new port can't be bound this throws and nothing
+ * else is applied. Returns the names of the settings that changed.
+ */
+async function applyConfig(cfg) {
+  const before = liveSettings();
+  const port = Number(process.env.PORT || cfg.port || 3333);
+  if (port !== PORT) {
+    await rebindServer(port);
+    PORT = port;
+  }
+
+  PROVIDER = cfg.provider || 'ollama';
+  OLLAMA_URL = process.env.OLLAMA_URL || cfg.ollama_url || 'http://localhost:11434';
+  OPENAI_URL = (cfg.openai_url || LLM_PROVIDERS.openai.defaultUrl).replace(/\/+$/, '');
+  MODEL = process.env.DOCTORCLAW_MODEL || cfg.model || 'glm-4.7:cloud';
+  CONTEXT_WINDOW = cfg.context_window || 0;
+  OPENCLAW_DIR = cfg.openclaw_dir || '/opt/openclaw';
+  OPENCLAW_WORKSPACE_DIR = cfg.openclaw_workspace_dir || join(OPENCLAW_DIR, 'workspace');
+  OS_TYPE = cfg.os || 'linux';
+  GATEWAY_URL = cfg.gateway_url || DEFAULTS.gateway_url;
+  SERVICES = cfg.services || DEFAULTS.services;
+  SAFE_READ_PATHS = cfg.read_paths || [...DEFAULT_READ_PATHS, OPENCLAW_DIR];
+  SAFE_WRITE_PATHS = cfg.write_paths || [...DEFAULT_WRITE_PATHS, process.cwd(), OPENCLAW_DIR];
+  DENY_PATHS = cfg.deny_paths || [...DEFAULTS.deny_paths];
+  COMMAND_POLICY = cfg.command_policy || DEFAULT_COMMAND_POLICY;
+  compiledCommandPolicy = compileCommandPolicy(COMMAND_POLICY);
+  AUTO_APPROVE_RULES = cfg.auto_approve || [];
+  MAX_JOB_RUNTIME_MINUTES = cfg.max_job_runtime_minutes ?? DEFAULT_MAX_JOB_RUNTIME_MINUTES;
+  BACKUP_RETENTION = { ...DEFAULT_BACKUP_RETENTION, ...(cfg.backup_retention || {}) };
+  setSecretsEncryption(cfg.secrets_encryption || 'none');
+
+  const after = liveSettings();
+  const changed = LIVE_SETTINGS.filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  // A different server behind the same provider may handle tools differently
+  if (changed.some(key => ['provider', 'ollama_url', 'openai_url'].includes(key))) {
+    modelsWithoutTools.clear();
+    detectedContextWindows.clear();
+  }
+  if (changed.includes('backup_retention')) pruneBackups();
+  if (changed.some(key => ['gateway_url', 'services', 'openclaw_dir', 'openclaw_workspace_dir'].includes(key))) openclawStatus = null;
+  if (changed.length) broadcastEvent('config-changed', { changed, port: PORT, previous_port: before.port });
+  return changed;
+}
+
+function liveSettings() {
+  return {
+    port: PORT,
+    provider: PROVIDER,
+    ollama_url: OLLAMA_URL,
+    openai_url: OPENAI_URL,
+    model: MODEL,
+    context_window: CONTEXT_WINDOW,
+    openclaw_dir: OPENCLAW_DIR,
+    openclaw_workspace_dir: OPENCLAW_WORKSPACE_DIR,
+    os: OS_TYPE,
+    gateway_url: GATEWAY_URL,
+    services: SERVICES,
+    read_paths: SAFE_READ_PATHS,
+    write_paths: SAFE_WRITE_PATHS,
+    deny_paths: DENY_PATHS,
+    command_policy: COMMAND_POLICY,
+    auto_approve: AUTO_APPROVE_RULES,
+    backup_retention: BACKUP_RETENTION,
+    max_job_runtime_minutes: MAX_JOB_RUNTIME_MINUTES,
+    secrets_encryption: secretsEncryption,
+  };
+}
+
+// Move the HTTP listener to a new port. The new socket is bound before the
+// old one closes, so open pages get the config-changed event and follow.
+function rebindServer(port) {
+  return new Promise((resolvePromise, reject) => {
+    const next = createServer(app);
+    const failed = err => reject(new Error(err.code === 'EADDRINUSE' ? `Port ${port} is already in use` : err.message));
+    next.once('error', failed);
+    next.listen(port, () => {
+      const previous = server;
+      server = next;
+      server.off('error', failed);
+      server.on('error', handleServerError);
+      server.on('upgrade', handleUpgrade);
+      console.log(`\n  [+] MiddleClaw moved to http://localhost:${port}\n`);
+      // Give the config-changed event and the pending response time to reach the browser
+      setTimeout(() => {
+        previous.close();
+        previous.closeAllConnections();
+      }, 1000).unref();
+      resolvePromise();
+    });
+  });
+}
+
+let configFileText = existsSync(CONFIG_PATH) ? readFileSync(CONFIG_PATH, 'utf-8') : '';
+
+// Polling survives editors that save by renaming a new file over the old one
+watchFile(CONFIG_PATH, { interval: 1000 }, async () => {
+  let text;
+  try { text = readFileSync(CONFIG_PATH, 'utf-8'); } catch { return; }
+  if (text === configFileText) return;
+  configFileText = text;
+  let cfg;
+  try {
+    cfg = JSON.parse(text);
+  } catch (err) {
+    return console.warn(`  ⚠  Ignoring edit to ${CONFIG_PATH}: invalid JSON (${err.message})`);
+  }
+  cfg = migrateConfig(cfg);
+  const errors = validateConfig(cfg);
+  if (errors.length) return console.warn(`  ⚠  Ignoring edit to ${CONFIG_PATH}: ${formatConfigErrors(errors)}`);
+  if (cfg.auth) AUTH = cfg.auth;
+  const moved = moveSecretsOutOfConfig(cfg);
+  if (moved.length) {
+    writeConfigFile(cfg);
+    console.log(`  Moved ${moved.join(', ')} from the config to ${basename(SECRETS_PATH)}`);
+  }
+  try {
+    const changed = await applyConfig(cfg);
+    if (changed.length) console.log(`  Config reloaded from file: ${changed.join(', ')}`);
+  } catch (err) {
+    console.warn(`  ⚠  Could not apply edit to ${CONFIG_PATH}: ${err.message}`);
+  }
+});
+
+// Write the config file without triggering the watcher for our own change
+function writeConfigFile(cfg) {
+  configFileText = JSON.stringify(cfg, null, 2) + '\n';
+  writeFileSync(CONFIG_PATH, configFileText, 'utf-8');
+}
+
+// ── Config API ──────────────────────────────────────────────────────────────
+
+app.get('/api/config', (_req, res) => {
+  let current = {};
+  try { current = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')); } catch {}
+  res.json({
+    config_version: CONFIG_VERSION,
+    ...liveSettings(),
+    audio_enabled: !!current.audio_enabled,
+    elevenlabs_voice_id: current.elevenlabs_voice_id || '',
+    // Only whether each credential is set — values never leave the server
+    secrets: secretStatus(),
+  });
+});
+
+// Everything the Settings panel may change; auth has its own endpoints
+const SETTINGS_FORM_KEYS = new Set(Object.keys(CONFIG_SCHEMA).filter(key => !['config_version', 'auth'].includes(key)));
+
+app.post('/api/config', async (req, res) => {
+  const updates = req.body;
+  try {
+    let current = {};
+    try { current = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')); } catch {}
+
+    current = migrateConfig(current);
+    moveSecretsOutOfConfig(current);
+
+    for (const key of SETTINGS_FORM_KEYS) {
+      if (updates[key] === undefined) continue;
+      const value = coerceConfigValue(CONFIG_SCHEMA[key], updates[key]);
+      if (value === undefined) delete current[key];
+      else current[key] = value;
+    }
+
+    const errors = validateConfig(current);
+    if (errors.length) return res.json({ success: false, message: 'Invalid config: ' + formatConfigErrors(errors), errors });
+
+    // Apply before writing, so a port that can't be bound leaves the file untouched
+    const changed = await applyConfig(current);
+    writeConfigFile(current);
+
+    // Credentials go to the secret store: a value replaces the stored one, null removes it, '' keeps it
+    for (const name of SECRET_FIELDS) {
+      if (updates[name] === null) setSecret(name, '');
+      else if (typeof updates[name] === 'string' && updates[name].trim()) setSecret(name, updates[name].trim());
+    }
+
+    const msg = changed.includes('port')
+      ? `Config saved. MiddleClaw moved to port ${PORT}.`
+      : 'Config saved. Changes are active immediately.';
+    res.json({ success: true, message: msg, changed, port: PORT });
+  } catch (err) {
+    res.json({ success: false, message: 'Failed to save config: ' + err.message });
+  }
+});
+
+// Dry-run a command against the live policy (used by the Settings panel)
+app.post('/api/policy/check', (req, res) => {
+  const { command, policy } = req.body || {};
+  if (typeof command !== 'string' || !command.trim()) return res.status(400).json({ error: 'No command provided' });
+  if (policy !== undefined) {
+    const errors = validateCommandPolicy(policy);
+    if (errors.length) return res.status(400).json({ error: 'Invalid command policy', errors });
+  }
+  res.json(policy ? evaluateCommandPolicy(command, compileCommandPolicy(policy)) : checkCommandPolicy(command));
+});
+
+app.get('/api/policy/defaults', (_req, res) => {
+  res.json(DEFAULT_COMMAND_POLICY);
+});
+
+// ── Ollama health check ─────────────────────────────────────────────────────
+
+app.get('/api/health', async (_req, res) => {
+  const { label } = LLM_PROVIDERS[PROVIDER];
+  const { url } = providerSettings(PROVIDER);
+  try {
+    const models = await LLM_PROVIDERS[PROVIDER].listModels(providerSettings(PROVIDER));
+    res.json({ status: 'ok', provider: PROVIDER, models, configured_model: MODEL });
+  } catch (err) {
+    res.json({ status: 'error', provider: PROVIDER, message: `Cannot reach ${label} at ${url} (${err.message})` });
+  }
+});
+
+// Models offered by every provider, for the per-session model picker
+app.get('/api/models', async (_req, res) => {
+  const providers = await Promise.all(Object.entries(LLM_PROVIDERS).map(async ([id, p]) => {
+    const { url } = providerSettings(id);
+    try {
+      return { id, label: p.label, url, status: 'ok', models: await p.listModels(providerSettings(id)) };
+    } catch (err) {
+      return { id, label: p.label, url, status: 'error', message: err.message, models: [] };
+    }
+  }));
+  res.json({ default: { provider: PROVIDER, model: MODEL }, providers });
+});
+
+// ── OpenClaw Status ─────────────────────────────────────────────────────────
+//
+// Probes the OpenClaw Gateway, the sibling services from the config and
+// `openclaw status`, and reports the install validateOpenclawDir() finds. The
+// latest snapshot feeds the dashboard and the system prompt. It is refreshed
+// in the background once it is older than OPENCLAW_STATUS_TTL_MS, so a chat
+// request never waits on a probe.
+
+const OPENCLAW_STATUS_TTL_MS = 30000;
+const SERVICE_PROBE_TIMEOUT_MS = 3000;
+const OPENCLAW_CLI_TIMEOUT_MS = 10000;
+let openclawStatus = null;
+let openclawStatusPending = null;
+
+function openclawBinary() {
+  const bundled = join(OPENCLAW_DIR, 'bin', 'openclaw');
+  return existsSync(bundled) ? bundled : 'openclaw';
+}
+
+// Any HTTP response counts as up: the gateway answers a plain GET with a WebSocket upgrade error
+async function probeService(name, url) {
+  const started = Date.now();
+  try {
+    const res = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(SERVICE_PROBE_TIMEOUT_MS) });
+    res.body?.cancel().catch(() => {});
+    return { name, url, up: true, http_status: res.status, latency_ms: Date.now() - started };
+  } catch (err) {
+    const error = err.name === 'TimeoutError' ? `no response within ${SERVICE_PROBE_TIMEOUT_MS / 1000}s` : err.cause?.code || err.cause?.message || err.message;
+    return { name, url, up: false, error };
+  }
+}
+
+function probeOpenclawCli() {
+  const decision = checkCommandPolicy('openclaw status --json');
+  if (!decision.allowed) return Promise.resolve({ ok: false, error: `Blocked by command policy: ${describePolicyBlock(decision)}` });
+  return new Promise(resolvePromise => {
+    // The arguments are fixed, so the shell needed for the .cmd shim on Windows is safe here
+    execFile(openclawBinary(), ['status', '--json'], { timeout: OPENCLAW_CLI_TIMEOUT_MS, maxBuffer: 1024 * 1024, shell: process.platform === 'win32' }, (err, stdout, stderr) => {
+      if (err) {
+        const error = err.code === 'ENOENT' ? 'openclaw CLI not found'
+          : err.killed ? `no response within ${OPENCLAW_CLI_TIMEOUT_MS / 1000}s`
+          : String(stderr).trim().split('\n').pop() || err.message;
+        return resolvePromise({ ok: false, error });
+      }
+      const data = normalizeOpenclawOutput('status', stdout);
+      resolvePromise(data ? { ok: true, fields: data.fields } : { ok: true, fields: null, output: String(stdout).trim().slice(0, 2000) });
+    });
+  });
+}
+
+function openclawInstall() {
+  const found = validateOpenclawDir(OPENCLAW_DIR);
+  return {
+    dir: OPENCLAW_DIR,
+    exists: found.exists,
+    config_path: found.configPath,
+    log_dirs: found.logPaths,
+    workspace_dir: OPENCLAW_WORKSPACE_DIR,
+    workspace_exists: existsSync(OPENCLAW_WORKSPACE_DIR),
+  };
+}
+
+/** Run every probe now. Concurrent callers share one refresh. */
+function refreshOpenclawStatus() {
+  openclawStatusPending ??= (async () => {
+    const [gateway, services, cli] = await Promise.all([
+      probeService('OpenClaw Gateway', GATEWAY_URL),
+      Promise.all(Object.entries(SERVICES).map(([name, url]) => probeService(name, url))),
+      probeOpenclawCli(),
+    ]);
+    openclawStatus = { checked_at: new Date().toISOString(), gateway, services, cli, install: openclawInstall() };
+    return openclawStatus;
+  })().finally(() => { openclawStatusPending = null; });
+  return openclawStatusPending;
+}
+
+function isOpenclawStatusFresh() {
+  return !!openclawStatus && Date.now() - Date.parse(openclawStatus.checked_at) < OPENCLAW_STATUS_TTL_MS;
+}
+
+/** The latest snapshot (null before the first probe finishes); starts a refresh if it's stale. */
+function currentOpenclawStatus() {
+  if (!isOpenclawStatusFresh()) refreshOpenclawStatus().catch(err => console.warn(`  ⚠  OpenClaw status check failed: ${err.message}`));
+  return openclawStatus;
+}
+
+// The snapshot as the system prompt states it
+function describeOpenclawStatus(status) {
+  if (!status) return 'Not checked yet.';
+  const service = s => `- ${s.name} (${s.url}): ${s.up ? `up (HTTP ${s.http_status}, ${s.latency_ms} ms)` : `DOWN (${s.error})`}`;
+  const { cli, install } = status;
+  const cliLine = !cli.ok ? `failed (${cli.error})`
+    : cli.fields ? cli.fields.slice(0, 15).map(([k, v]) => `${k}: ${v}`).join('; ')
+    : cli.output || '(no output)';
+  const installLine = !install.exists ? `${install.dir} does not exist`
+    : [install.dir, `config ${install.config_path || 'not found'}`, `logs ${install.log_dirs.join(', ') || 'not found'}`].join('; ');
+  return [
+    `Checked at ${status.checked_at}.`,
+    service(status.gateway),
+    ...status.services.map(service),
+    `- openclaw status: ${cliLine}`,
+    `- Install: ${installLine}`,
+  ].join('\n');
+}
+
+// Serves a snapshot younger than OPENCLAW_STATUS_TTL_MS unless ?refresh=1
+app.get('/api/openclaw/status', async (req, res) => {
+  res.json(isOpenclawStatusFresh() && !req.query.refresh ? openclawStatus : await refreshOpenclawStatus());
+});
+
+currentOpenclawStatus();
+
+// ── OpenClaw Logs ───────────────────────────────────────────────────────────
+//
+// Lists the log files in the directories validateOpenclawDir() discovers,
+// streams new lines over SSE with level and regex filters, and scans a log's
+// tail for error bursts, stack traces and restarts. Only files inside those
+// directories that pass the read policy are served; these endpoints aren't
+// approval-gated like actions, so they stay scoped to OpenClaw's own logs.
+
+const LOG_FILE_RE = /(\.(log|txt|out|err|jsonl)(\.\d+)?|^[^.]+)$/i;
+const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+const LOG_LEVEL_ALIASES = { warning: 'warn', err: 'error', notice: 'info', crit: 'fatal', critical: 'fatal', panic: 'fatal', emerg: 'fatal', alert: 'fatal' };
+// pino/bunyan numeric levels
+const LOG_LEVEL_NUMBERS = { 10: 'trace', 20: 'debug', 30: 'info', 40: 'warn', 50: 'error', 60: 'fatal' };
+const LOG_POLL_MS = 1000;
+const LOG_STREAM_BACKLOG = 200;
+const LOG_STREAM_MAX_READ = 1024 * 1024;
+const LOG_ANALYZE_DEFAULT_LINES = 5000;
+const LOG_ANALYZE_MAX_LINES = 50000;
+// An error burst is at least this many error lines within the window (by timestamp, or by line distance without one)
+const LOG_BURST_MIN_ERRORS = 5;
+const LOG_BURST_WINDOW_MS = 60000;
+const LOG_BURST_WINDOW_LINES = 50;
+const LOG_EXCERPT_MAX_LINES = 40;
+
+const STACK_FRAME_RE = /^\s+(at\s+\S|File ".*", line \d+|\.\.\. \d+ more$)|^Caused by: /;
+const TRACE_START_RE = /^Traceback \(most recent call last\)/;
+const RESTART_RE = /\b(starting|started|restarting|restarted|booting|listening on|ready to accept|shutting down|shutdown complete|received SIG(TERM|INT|HUP)|exited with code|process exited|gateway (started|ready|stopped))\b/i;
+const LOG_TIMESTAMP_RE = /\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?/;
+
+function normalizeLogLevel(value) {
+  if (typeof value === 'number') return LOG_LEVEL_NUMBERS[value] || null;
+  if (typeof value !== 'string') return null;
+  const level = value.toLowerCase();
+  return LOG_LEVELS.includes(level) ? level : LOG_LEVEL_ALIASES[level] || null;
+}
+
+/** Level and timestamp of one log line, from JSON fields or the usual text markers. */
+function parseLogLine(line) {
+  if (line.startsWith('{')) {
+    try {
+      const entry = JSON.parse(line);
+      const time = entry.time ?? entry.ts ?? entry.timestamp;
+      return {
+        level: normalizeLogLevel(entry.level ?? entry.lvl ?? entry.severity),
+        time: typeof time === 'number' ? (time < 1e12 ? time * 1000 : time) : Date.parse(time) || null,
+      };
+    } catch {}
+  }
+  const marker = line.match(/\b(TRACE|DEBUG|INFO|NOTICE|WARN|WARNING|ERROR|ERR|CRIT|CRITICAL|FATAL|PANIC)\b/)
+    || line.match(/(?:\b(?:level|lvl|severity)=["']?|\[)(trace|debug|info|warn|warning|error|fatal)\b/i);
+  const stamp = line.match(LOG_TIMESTAMP_RE);
+  return { level: marker ? normalizeLogLevel(marker[1]) : null, time: stamp ? Date.parse(stamp[0].replace(' ', 'T')) || null : null };
+}
+
+/**
+ * Log lines with their level. Lines with no level of their own (stack frames,
+ * wrapped messages) take the level of the line before them.
+ */
+function classifyLogLines(lines, state = { level: null }) {
+  return lines.map(text => {
+    const parsed = parseLogLine(text);
+    if (parsed.level) state.level = parsed.level;
+    const isFrame = STACK_FRAME_RE.test(text);
+    return { text, level: parsed.level || state.level, time: parsed.time, trace: isFrame || TRACE_START_RE.test(text), restart: !isFrame && RESTART_RE.test(text) };
+  });
+}
+
+function logLineFilter({ level, pattern, ignore_case: ignoreCase }) {
+  const min = level ? LOG_LEVELS.indexOf(normalizeLogLevel(level)) : -1;
+  if (level && min === -1) throw new Error(`Unknown level "${level}". Use one of: ${LOG_LEVELS.join(', ')}`);
+  const re = pattern ? optionRegExp(pattern, ignoreCase) : null;
+  return line => (min === -1 || LOG_LEVELS.indexOf(line.level) >= min) && (!re || re.test(line.text));
+}
+
+function logDirectories() {
+  return validateOpenclawDir(OPENCLAW_DIR).logPaths;
+}
+
+function listLogFiles() {
+  const files = [];
+  const visit = (path, depth) => {
+    let st;
+    try { st = statSync(path); } catch { return; }
+    if (st.isDirectory()) {
+      if (depth > 2) return;
+      let names = [];
+      try { names = readdirSync(path); } catch {}
+      for (const name of names) visit(join(path, name), depth + 1);
+    } else if (st.isFile() && LOG_FILE_RE.test(basename(path)) && checkPathAccess(path, 'read').ok) {
+      files.push({ path, size: st.size, modified: st.mtime.toISOString() });
+    }
+  };
+  const dirs = logDirectories();
+  for (const dir of dirs) visit(dir, 0);
+  return { dirs, files: files.sort((a, b) => b.modified.localeCompare(a.modified)) };
+}
+
+// A log file the UI may read: inside a discovered log directory and allowed by the read policy
+function resolveLogFile(file) {
+  if (typeof file !== 'string' || !file) return { status: 400, error: 'No file given' };
+  const access = checkPathAccess(file, 'read');
+  if (!access.ok) return { status: 403, error: `Access denied: ${access.reason}` };
+  if (!logDirectories().some(dir => matchesPathEntry(access.path, dir))) return { status: 403, error: `"${file}" is not in an OpenClaw log directory` };
+  if (!existsSync(access.path) || !statSync(access.path).isFile()) return { status: 404, error: `Log file not found: ${file}` };
+  return { path: access.path };
+}
+
+function logExcerpt(lines, from, to) {
+  const start = Math.max(0, from, to - LOG_EXCERPT_MAX_LINES + 1);
+  return lines.slice(start, to + 1).map(l => l.text).join('\n');
+}
+
+/**
+ * Find error bursts, stack traces and restarts in classified lines. Each
+ * finding carries the line range and an excerpt that can be sent to chat.
+ */
+function analyzeLogLines(lines) {
+  const errors = lines.map((l, i) => (['error', 'fatal'].includes(l.level) && !l.trace ? i : -1)).filter(i => i !== -1);
+  const warnings = lines.filter(l => l.level === 'warn').length;
+
+  const bursts = [];
+  for (let a = 0, b = 0; b < errors.length; b++) {
+    const near = (i, j) => (lines[i].time && lines[j].time ? lines[j].time - lines[i].time <= LOG_BURST_WINDOW_MS : errors[j] - errors[i] <= LOG_BURST_WINDOW_LINES);
+    while (!near(errors[a], errors[b])) a++;
+    if (b - a + 1 < LOG_BURST_MIN_ERRORS) continue;
+    const last = bursts.at(-1);
+    if (last && errors[a] <= last.end_line) Object.assign(last, { end_line: errors[b], count: last.count + 1 });
+    else bursts.push({ start_line: errors[a], end_line: errors[b], count: b - a + 1 });
+  }
+  for (const burst of bursts) {
+    burst.from = lines[burst.start_line].time ? new Date(lines[burst.start_line].time).toISOString() : null;
+    burst.to = lines[burst.end_line].time ? new Date(lines[burst.end_line].time).toISOString() : null;
+    burst.excerpt = logExcerpt(lines, burst.start_line, burst.end_line);
+  }
+
+  const traces = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trace || lines[i - 1]?.trace) continue;
+    let end = i;
+    while (lines[end + 1]?.trace) end++;
+    // The message that raised it is usually the line just before the first frame
+    const start = i > 0 && !TRACE_START_RE.test(lines[i].text) ? i - 1 : i;
+    traces.push({ start_line: start, end_line: end, frames: end - i + 1, header: lines[start].text, excerpt: logExcerpt(lines, start, end) });
+    i = end;
+  }
+
+  // What happened just before a restart is usually the interesting part
+  const restarts = lines.map((l, i) => (l.restart ? i : -1)).filter(i => i !== -1).map(i => ({
+    line: i,
+    text: lines[i].text,
+    time: lines[i].time ? new Date(lines[i].time).toISOString() : null,
+    excerpt: logExcerpt(lines, i - 10, i),
+  }));
+
+  const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+  const summary = [
+    `${count(lines.length, 'line')}: ${count(errors.length, 'error')}, ${count(warnings, 'warning')}.`,
+    bursts.length ? `${count(bursts.length, 'error burst')} (largest ${Math.max(...bursts.map(b => b.count))} errors).` : 'No error bursts.',
+    traces.length ? `${count(traces.length, 'stack trace')}, latest: "${traces.at(-1).header.trim().slice(0, 160)}".` : 'No stack traces.',
+    restarts.length ? `${count(restarts.length, 'start/stop event')}, latest: "${restarts.at(-1).text.trim().slice(0, 160)}".` : 'No restarts.',
+  ].join(' ');
+  return { errors: errors.length, warnings, bursts, traces, restarts, summary };
+}
+
+app.get('/api/logs', (_req, res) => {
+  res.json(listLogFiles());
+});
+
+// ?file=&lines= — scans the last `lines` lines (default LOG_ANALYZE_DEFAULT_LINES)
+app.get('/api/logs/analyze', (req, res) => {
+  const file = resolveLogFile(req.query.file);
+  if (file.error) return res.status(file.status).json({ error: file.error });
+  try {
+    const count = optionCount('lines', req.query.lines, LOG_ANALYZE_DEFAULT_LINES, LOG_ANALYZE_MAX_LINES);
+    const lines = classifyLogLines(tailFile(file.path, { lines: count }).lines);
+    res.json({ file: file.path, lines_scanned: lines.length, ...analyzeLogLines(lines) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * ?file=&level=&pattern=&ignore_case=&backlog= — sends the last `backlog`
+ * matching lines, then new lines as they're appended, as `line` events. A
+ * `burst` event fires when LOG_BURST_MIN_ERRORS errors arrive within
+ * LOG_BURST_WINDOW_MS, and `rotated` when the file is truncated or replaced.
+ */
+app.get('/api/logs/stream', (req, res) => {
+  const file = resolveLogFile(req.query.file);
+  if (file.error) return res.status(file.status).json({ error: file.error });
+  let filter, backlog;
+  try {
+    filter = logLineFilter(req.query);
+    backlog = optionCount('backlog', req.query.backlog, LOG_STREAM_BACKLOG, TAIL_MAX_LINES);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  const send = (event, payload) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...payload })}\n\n`);
+
+  const state = { level: null };
+  let recentErrors = [];
+  let burstUntil = 0;
+  const emit = (lines, live) => {
+    for (const line of classifyLogLines(lines, state)) {
+      if (live && ['error', 'fatal'].includes(line.level) && !line.trace) {
+        const now = line.time || Date.now();
+        recentErrors = [...recentErrors.filter(t => now - t <= LOG_BURST_WINDOW_MS), now];
+        if (recentErrors.length >= LOG_BURST_MIN_ERRORS && now > burstUntil) {
+          burstUntil = now + LOG_BURST_WINDOW_MS;
+          send('burst', { count: recentErrors.length, window_ms: LOG_BURST_WINDOW_MS, at: new Date(now).toISOString() });
+        }
+      }
+      if (filter(line)) send('line', line);
+    }
+  };
+
+  let { size: offset, ino } = statSync(file.path);
+  let partial = Buffer.alloc(0);
+  try {
+    emit(tailFile(file.path, { lines: backlog }).lines, false);
+  } catch (err) {
+    send('log-error', { message: err.message });
+  }
+  send('ready', { file: file.path, offset });
+
+  const poll = setInterval(() => {
+    let st;
+    try { st = statSync(file.path); } catch { return; } // rotated away; wait for the new file
+    const { size } = st;
+    if (size < offset || st.ino !== ino) {
+      offset = 0;
+      ino = st.ino;
+      partial = Buffer.alloc(0);
+      send('rotated', { file: file.path });
+    }
+    if (size === offset) return;
+    const buf = Buffer.alloc(Math.min(size - offset, LOG_STREAM_MAX_READ));
+    const fd = openSync(file.path, 'r');
+    try { readSync(fd, buf, 0, buf.length, offset); } finally { closeSync(fd); }
+    offset += buf.length;
+    const chunk = Buffer.concat([partial, buf]);
+    const nl = chunk.lastIndexOf(10);
+    partial = chunk.subarray(nl + 1);
+    if (nl !== -1) emit(chunk.subarray(0, nl).toString('utf-8').split('\n'), true);
+  }, LOG_POLL_MS);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(poll);
+    clearInterval(heartbeat);
+  });
+});
+
+// ── ElevenLabs TTS Proxy ─────────────────────────────────────────────────────
+
+app.post('/api/tts', async (req, res) => {
+  const { text } = req.body;
+  if (!text || !text.trim()) {
+    return res.status(400).json({ error: 'No text provided' });
+  }
+
+  let current = {};
+  try { current = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')); } catch {}
+
+  const apiKey = getSecret('elevenlabs_api_key');
+  const voiceId = current.elevenlabs_voice_id || '21m00Tcm4TlvDq8ikWAM';
+
+  if (!apiKey) {
+    return res.status(400).json({ error: 'ElevenLabs API key not configured' });
+  }
+
+  try {
+    const ttsResp = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${encodeURIComponent(voiceId)}`, {
+      method: 'POST',
+      headers: {
+        'xi-api-key': apiKey,
+        'Content-Type': 'application/json',
+        'Accept': 'audio/mpeg',
+      },
+      body: JSON.stringify({
+        text: text.trim(),
+        model_id: 'eleven_monolingual_v1',
+        voice_settings: { stability: 0.5, similarity_boost: 0.5 },
+      }),
+    });
+
+    if (!ttsResp.ok) {
+      const errText = await ttsResp.text();
+      return res.status(ttsResp.status).json({ error: errText });
+    }
+
+    res.setHeader('Content-Type', 'audio/mpeg');
+    res.setHeader('Cache-Control', 'no-cache');
+    const buffer = await ttsResp.arrayBuffer();
+    res.send(Buffer.from(buffer));
+  } catch (err) {
+    res.status(500).json({ error: 'TTS request failed: ' + err.message });
+  }
 });
-app.use(express.static(staticPath));
 
-// Fallback if index.html is missing
-app.get('/', (_req, res) => {
-  const indexPath = join(staticPath, 'index.html');
-  if (existsSync(indexPath)) {
-    res.sendFile(indexPath);
-  } else {
-    res.status(404).send(`
-      <h2>public/index.html not found</h2>
-      <p>Expected at: <code>${indexPath}</code></p>
-      <p>Make sure the <code>public/</code> folder is in the same directory as <code>server.mjs</code>.</p>
-    `);
+// ── ElevenLabs STT Proxy (Scribe) ────────────────────────────────────────────
+
+app.post('/api/stt', async (req, res) => {
+  const { audio, mimeType } = req.body;
+  if (!audio) {
+    return res.status(400).json({ error: 'No audio data provided' });
+  }
+
+  const apiKey = getSecret('elevenlabs_api_key');
+  if (!apiKey) {
+    return res.status(400).json({ error: 'ElevenLabs API key not configured' });
+  }
+
+  try {
+    const audioBuffer = Buffer.from(audio, 'base64');
+    const ext = (mimeType || '').includes('ogg') ? 'ogg' : (mimeType || '').includes('mp4') ? 'mp4' : 'webm';
+    const blob = new Blob([audioBuffer], { type: mimeType || 'audio/webm' });
+
+    const formData = new FormData();
+    formData.append('file', blob, `recording.${ext}`);
+    formData.append('model_id', 'scribe_v2');
+
+    const sttResp = await fetch('https://api.elevenlabs.io/v1/speech-to-text', {
+      method: 'POST',
+      headers: { 'xi-api-key': apiKey },
+      body: formData,
+    });
+
+    if (!sttResp.ok) {
+      const errText = await sttResp.text();
+      return res.status(sttResp.status).json({ error: errText });
+    }
+
+    const result = await sttResp.json();
+    res.json({ text: result.text || '' });
+  } catch (err) {
+    res.status(500).json({ error: 'STT request failed: ' + err.message });
   }
 });
 
-// ── Config API ──────────────────────────────────────────────────────────────
+// ── Backup Browser ──────────────────────────────────────────────────────────
+//
+// Lists .middleclaw-backups/ grouped by original path, diffs a backup against
+// the current file, restores it (taking a fresh backup first), and prunes old
+// backups according to backup_retention.
 
-app.get('/api/config', (_req, res) => {
+const DEFAULT_BACKUP_RETENTION = { max_per_file: 20, max_age_days: 30 };
+let BACKUP_RETENTION = { ...DEFAULT_BACKUP_RETENTION, ...(config.backup_retention || {}) };
+
+function readBackupIndex() {
+  try { return JSON.parse(readFileSync(BACKUP_INDEX_PATH, 'utf-8')); } catch { return {}; }
+}
+
+function writeBackupIndex(index) {
+  if (!existsSync(BACKUP_DIR)) mkdirSync(BACKUP_DIR, { recursive: true });
+  writeFileSync(BACKUP_INDEX_PATH, JSON.stringify(index, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Parse a backup file name ("__etc__foo.conf.2026-02-08T10-00-00-000Z.bak").
+ * Backups made before the index existed fall back to decoding the name.
+ */
+function parseBackupName(name, index) {
+  const m = name.match(/^(.*)\.(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.bak$/);
+  if (!m) return null;
+  const [, mangled, ts] = m;
+  const createdAt = ts.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+  return { id: name, original: index[name] || mangled.replace(/__/g, '/'), createdAt };
+}
+
+function listBackups() {
+  if (!existsSync(BACKUP_DIR)) return [];
+  const index = readBackupIndex();
+  const backups = [];
+  for (const name of readdirSync(BACKUP_DIR)) {
+    const entry = parseBackupName(name, index);
+    if (!entry) continue;
+    try { entry.size = statSync(join(BACKUP_DIR, name)).size; } catch { continue; }
+    backups.push(entry);
+  }
+  return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function groupBackups(backups) {
+  const groups = new Map();
+  for (const b of backups) {
+    if (!groups.has(b.original)) groups.set(b.original, []);
+    groups.get(b.original).push(b);
+  }
+  return [...groups.entries()].map(([original, list]) => ({
+    original,
+    current_exists: existsSync(original),
+    backups: list,
+  }));
+}
+
+function findBackup(id) {
+  if (!id || id !== basename(id) || !id.endsWith('.bak')) return null;
+  if (!existsSync(join(BACKUP_DIR, id))) return null;
+  const entry = parseBackupName(id, readBackupIndex());
+  return entry && { ...entry, path: join(BACKUP_DIR, id) };
+}
+
+/**
+ * Delete backups beyond the retention policy. The newest backup of each file
+ * is always kept so there is still something to roll back to.
+ * @param {string} [original] - only prune backups of this file
+ */
+function pruneBackups(original) {
+  const maxPerFile = Number(BACKUP_RETENTION.max_per_file) || 0;
+  const maxAgeMs = (Number(BACKUP_RETENTION.max_age_days) || 0) * 86400000;
+  if (!maxPerFile && !maxAgeMs) return 0;
+
+  const index = readBackupIndex();
+  let removed = 0;
+  for (const group of groupBackups(listBackups())) {
+    if (original && group.original !== original) continue;
+    group.backups.forEach((b, i) => {
+      if (i === 0) return;
+      const tooMany = maxPerFile && i >= maxPerFile;
+      const tooOld = maxAgeMs && Date.now() - Date.parse(b.createdAt) > maxAgeMs;
+      if (!tooMany && !tooOld) return;
+      try {
+        unlinkSync(join(BACKUP_DIR, b.id));
+        delete index[b.id];
+        removed++;
+      } catch {}
+    });
+  }
+  if (removed) writeBackupIndex(index);
+  return removed;
+}
+
+const prunedAtBoot = pruneBackups();
+if (prunedAtBoot) console.log(`  Pruned ${prunedAtBoot} old backup(s) per retention policy.`);
+
+app.get('/api/backups', (_req, res) => {
+  res.json({ retention: BACKUP_RETENTION, groups: groupBackups(listBackups()) });
+});
+
+app.get('/api/backups/:id/diff', (req, res) => {
+  const backup = findBackup(req.params.id);
+  if (!backup) return res.status(404).json({ error: 'Backup not found' });
+  const access = checkPathAccess(backup.original, 'read');
+  if (!access.ok) return res.status(403).json({ error: `Access denied: ${access.reason}.` });
+  try {
+    const current = existsSync(access.path) ? readFileSync(access.path, 'utf-8') : '';
+    const diff = unifiedDiff(
+      readFileSync(backup.path, 'utf-8'), current,
+      `${backup.original} (backup ${backup.createdAt})`, `${backup.original} (current)`,
+    );
+    res.json({
+      original: backup.original,
+      current_exists: existsSync(access.path),
+      diff,
+      identical: diff === '',
+      too_large: diff === null,
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to diff backup: ' + err.message });
+  }
+});
+
+app.post('/api/backups/:id/restore', (req, res) => {
+  const backup = findBackup(req.params.id);
+  if (!backup) return res.status(404).json({ error: 'Backup not found' });
+  const access = checkPathAccess(backup.original, 'write');
+  if (!access.ok) return res.status(403).json({ error: `Access denied: ${access.reason}.` });
+  try {
+    const dir = dirname(access.path);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    // Back up the current file first so the restore itself can be undone
+    const safety = backupFile(access.path);
+    copyFileSync(backup.path, access.path);
+    res.json({
+      success: true,
+      message: safety
+        ? `Restored ${backup.original} from ${backup.createdAt}. Previous version backed up to: ${safety}`
+        : `Restored ${backup.original} from ${backup.createdAt}.`,
+      backup: safety,
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Restore failed: ' + err.message });
+  }
+});
+
+// ── Session Store ───────────────────────────────────────────────────────────
+//
+// Each session tab (conversation, rendered entries, action cards and their
+// results) is stored as one JSON file under .middleclaw-sessions/. The UI
+// treats this as the source of truth and keeps localStorage only as a cache.
+
+const SESSION_ID_RE = /^[A-Za-z0-9_-]{1,100}$/;
+
+function getSessionPath(id) {
+  return join(SESSIONS_DIR, `${id}.json`);
+}
+
+function readSession(id) {
+  if (!SESSION_ID_RE.test(id)) return null;
+  try {
+    return JSON.parse(readFileSync(getSessionPath(id), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeSession(session) {
+  if (!existsSync(SESSIONS_DIR)) mkdirSync(SESSIONS_DIR, { recursive: true });
+  const path = getSessionPath(session.id);
+  // Write to a temp file first so a crash mid-write never leaves a truncated session
+  const tmpPath = `${path}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(session), 'utf-8');
+  renameSync(tmpPath, path);
+  return session;
+}
+
+function listSessions() {
+  if (!existsSync(SESSIONS_DIR)) return [];
+  const sessions = [];
+  for (const file of readdirSync(SESSIONS_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    const s = readSession(file.slice(0, -5));
+    if (s) sessions.push(s);
+  }
+  return sessions.sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+}
+
+function summarizeSession(s) {
+  return {
+    id: s.id,
+    label: s.label,
+    createdAt: s.createdAt,
+    updatedAt: s.updatedAt,
+    messageCount: (s.conversation || []).length,
+  };
+}
+
+/**
+ * Normalize a session payload from the client. Only known fields are kept so
+ * arbitrary request bodies can't bloat the store.
+ */
+function sanitizeSession(id, body, existing) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    label: typeof body.label === 'string' ? body.label : (existing?.label || id),
+    conversation: Array.isArray(body.conversation) ? body.conversation : (existing?.conversation || []),
+    rendered: Array.isArray(body.rendered) ? body.rendered : (existing?.rendered || []),
+    createdAt: existing?.createdAt || body.createdAt || now,
+    updatedAt: now,
+  };
+}
+
+function generateSessionId() {
+  return 's_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+}
+
+app.get('/api/sessions', (req, res) => {
+  const sessions = listSessions();
+  // ?full=1 returns complete sessions so the UI can hydrate in one request
+  res.json({ sessions: req.query.full ? sessions : sessions.map(summarizeSession) });
+});
+
+app.get('/api/sessions/:id', (req, res) => {
+  const session = readSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  res.json(session);
+});
+
+app.post('/api/sessions', (req, res) => {
+  const body = req.body || {};
+  const id = body.id || generateSessionId();
+  if (!SESSION_ID_RE.test(id)) return res.status(400).json({ error: 'Invalid session id' });
+  if (readSession(id)) return res.status(409).json({ error: 'Session already exists' });
+  try {
+    res.status(201).json(writeSession(sanitizeSession(id, body, null)));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save session: ' + err.message });
+  }
+});
+
+app.put('/api/sessions/:id', (req, res) => {
+  const { id } = req.params;
+  if (!SESSION_ID_RE.test(id)) return res.status(400).json({ error: 'Invalid session id' });
+  try {
+    res.json(writeSession(sanitizeSession(id, req.body || {}, readSession(id))));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save session: ' + err.message });
+  }
+});
+
+app.delete('/api/sessions/:id', (req, res) => {
+  const { id } = req.params;
+  if (!SESSION_ID_RE.test(id)) return res.status(400).json({ error: 'Invalid session id' });
+  if (!existsSync(getSessionPath(id))) return res.status(404).json({ error: 'Session not found' });
+  try {
+    unlinkSync(getSessionPath(id));
+    sessionAutoApprove.delete(id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete session: ' + err.message });
+  }
+});
+
+// ── Auto-approve ────────────────────────────────────────────────────────────
+//
+// The UI asks /api/auto-approve/check for every new action card and runs the
+// action straight away when a rule covers it. /api/execute checks the rule
+// again, so a stale page or a rule removed in the meantime can't run anything
+// unapproved. Session rules are kept in memory and end with the server.
+
+const sessionAutoApprove = new Map(); // chat session id → rules
+
+const ruleIsLive = rule => !rule.expires_at || Date.parse(rule.expires_at) > Date.now();
+
+/** Global and session rules that haven't expired, with their scope and a description. */
+function activeAutoApproveRules(sessionId) {
+  const own = (sessionId && sessionAutoApprove.get(sessionId)) || [];
+  const live = own.filter(ruleIsLive);
+  if (live.length !== own.length) {
+    if (live.length) sessionAutoApprove.set(sessionId, live);
+    else sessionAutoApprove.delete(sessionId);
+  }
+  return [
+    ...AUTO_APPROVE_RULES.filter(ruleIsLive).map((rule, i) => ({ ...rule, id: rule.id || `rules[${i}]`, scope: 'global' })),
+    ...live.map(rule => ({ ...rule, scope: 'session' })),
+  ].map(rule => ({ ...rule, description: describeAutoApproveRule(rule) }));
+}
+
+// A rule only covers an action that would also pass the path lists and the command policy
+function autoApproveCovers(rule, type, target) {
+  if (!autoApproveActions(rule).includes(type)) return false;
+  if (WRITE_ACTIONS.includes(type) && rule.allow_writes !== true) return false;
+  switch (type) {
+    case 'RUN_CMD':
+      return commandOutsideList(target, rule.executables, rule.allow_writes === true) === null && checkCommandPolicy(target).allowed;
+    case 'OPENCLAW': {
+      // A rule scoped to paths says nothing about OpenClaw unless it names operations
+      const ops = rule.openclaw_ops || (rule.paths ? [] : READ_ONLY_OPENCLAW_OPS);
+      return ops.includes(target) && (READ_ONLY_OPENCLAW_OPS.includes(target) || rule.allow_writes === true);
+    }
+    default: {
+      const access = checkPathAccess(target.startsWith('/') ? target : join(process.cwd(), target), type === 'WRITE_FILE' ? 'write' : 'read');
+      return access.ok && (!rule.paths || rule.paths.some(entry => matchesPathEntry(access.path, entry)));
+    }
+  }
+}
+
+/** The first live rule that covers an action, or null. */
+function findAutoApproveRule(type, target, sessionId) {
+  if (!AUTO_APPROVE_ACTIONS.includes(type) || typeof target !== 'string' || !target.trim()) return null;
+  return activeAutoApproveRules(sessionId).find(rule => autoApproveCovers(rule, type, target)) || null;
+}
+
+// Global rules are written back to the config file, like the auth settings
+async function saveGlobalAutoApproveRules(rules) {
   let current = {};
   try { current = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')); } catch {}
-  res.json({
-    port: PORT,
-    ollama_url: OLLAMA_URL,
-    model: MODEL,
-    openclaw_dir: OPENCLAW_DIR,
-    openclaw_workspace_dir: OPENCLAW_WORKSPACE_DIR,
-    os: OS_TYPE,
-    read_paths: SAFE_READ_PATHS,
-    write_paths: SAFE_WRITE_PATHS,
-    audio_enabled: !!current.audio_enabled,
-    elevenlabs_api_key: current.elevenlabs_api_key || '',
-    elevenlabs_voice_id: current.elevenlabs_voice_id || '',
-  });
+  current = migrateConfig(current);
+  if (rules.length) current.auto_approve = rules;
+  else delete current.auto_approve;
+  const errors = validateConfig(current);
+  if (errors.length) throw new Error(formatConfigErrors(errors));
+  await applyConfig(current);
+  writeConfigFile(current);
+}
+
+app.get('/api/auto-approve', (req, res) => {
+  res.json({ rules: activeAutoApproveRules(req.query.session) });
 });
 
-app.post('/api/config', (req, res) => {
-  const updates = req.body;
+// Add a rule: { scope: "global" | "session", session, minutes, rule }. minutes sets expires_at.
+app.post('/api/auto-approve', async (req, res) => {
+  const { scope, session, minutes, rule } = req.body || {};
+  if (!['global', 'session'].includes(scope)) return res.status(400).json({ error: 'scope must be "global" or "session"' });
+  if (scope === 'session' && !SESSION_ID_RE.test(session || '')) return res.status(400).json({ error: 'A session rule needs a valid session id' });
+  if (minutes !== undefined && !(Number.isInteger(minutes) && minutes > 0)) return res.status(400).json({ error: 'minutes must be a whole number above 0' });
+  const saved = { ...rule, id: rule?.id || `aa_${randomBytes(4).toString('hex')}` };
+  if (minutes) saved.expires_at = new Date(Date.now() + minutes * 60000).toISOString();
+  const errors = validateAutoApproveRule(saved);
+  if (errors.length) return res.status(400).json({ error: `Invalid rule: ${errors.join('; ')}`, errors });
+
   try {
-    let current = {};
-    try { current = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')); } catch {}
+    if (scope === 'session') {
+      const list = sessionAutoApprove.get(session) || [];
+      if (list.length >= AUTO_APPROVE_MAX_RULES) return res.status(400).json({ error: `A session can have at most ${AUTO_APPROVE_MAX_RULES} rules` });
+      if (list.some(r => r.id === saved.id)) return res.status(409).json({ error: `Rule "${saved.id}" already exists` });
+      sessionAutoApprove.set(session, [...list, saved]);
+    } else {
+      if (AUTO_APPROVE_RULES.some(r => r.id === saved.id)) return res.status(409).json({ error: `Rule "${saved.id}" already exists` });
+      await saveGlobalAutoApproveRules([...AUTO_APPROVE_RULES, saved]);
+    }
+  } catch (err) {
+    return res.status(400).json({ error: 'Failed to save rule: ' + err.message });
+  }
+  res.status(201).json({ ...saved, scope, description: describeAutoApproveRule(saved) });
+});
 
-    if (updates.openclaw_dir !== undefined) current.openclaw_dir = updates.openclaw_dir;
-    if (updates.openclaw_workspace_dir !== undefined) current.openclaw_workspace_dir = updates.openclaw_workspace_dir;
-    if (updates.ollama_url !== undefined) current.ollama_url = updates.ollama_url;
-    if (updates.model !== undefined) current.model = updates.model;
-    if (updates.port !== undefined) current.port = parseInt(updates.port, 10);
-    if (updates.os !== undefined) current.os = updates.os;
-    if (updates.read_paths !== undefined) current.read_paths = updates.read_paths;
-    if (updates.write_paths !== undefined) current.write_paths = updates.write_paths;
-    if (updates.audio_enabled !== undefined) current.audio_enabled = !!updates.audio_enabled;
-    if (updates.elevenlabs_api_key !== undefined) current.elevenlabs_api_key = updates.elevenlabs_api_key;
-    if (updates.elevenlabs_voice_id !== undefined) current.elevenlabs_voice_id = updates.elevenlabs_voice_id;
-
-    writeFileSync(CONFIG_PATH, JSON.stringify(current, null, 2) + '\n', 'utf-8');
-
-    // Hot-reload paths so restart isn't needed for path changes
-    if (updates.read_paths) SAFE_READ_PATHS = updates.read_paths;
-    if (updates.write_paths) SAFE_WRITE_PATHS = updates.write_paths;
-
-    const needsRestart = updates.port || updates.ollama_url || updates.model;
-    const msg = needsRestart
-      ? 'Config saved. Restart MiddleClaw for port/model/URL changes to take effect.'
-      : 'Config saved. Path changes are active immediately.';
-    res.json({ success: true, message: msg });
+// ?session= removes that chat's rule; without it the global rule is removed
+app.delete('/api/auto-approve/:id', async (req, res) => {
+  const { id } = req.params;
+  const session = req.query.session;
+  const own = (session && sessionAutoApprove.get(session)) || [];
+  if (own.some(r => r.id === id)) {
+    const rest = own.filter(r => r.id !== id);
+    if (rest.length) sessionAutoApprove.set(session, rest);
+    else sessionAutoApprove.delete(session);
+    return res.json({ success: true });
+  }
+  const index = AUTO_APPROVE_RULES.findIndex((r, i) => (r.id || `rules[${i}]`) === id);
+  if (index === -1) return res.status(404).json({ error: 'Rule not found' });
+  try {
+    await saveGlobalAutoApproveRules(AUTO_APPROVE_RULES.filter((_, i) => i !== index));
+    res.json({ success: true });
   } catch (err) {
-    res.json({ success: false, message: 'Failed to save config: ' + err.message });
+    res.status(500).json({ error: 'Failed to remove rule: ' + err.message });
+  }
+});
+
+// Which rule, if any, lets an action run without a click
+app.post('/api/auto-approve/check', (req, res) => {
+  const { type, target, sessionId } = req.body || {};
+  const rule = findAutoApproveRule(type, target, sessionId);
+  res.json({ rule: rule && { id: rule.id, scope: rule.scope, description: rule.description, expires_at: rule.expires_at || null } });
+});
+
+// ── Runbooks ────────────────────────────────────────────────────────────────
+//
+// A runbook is a saved diagnostic procedure: typed parameters and named
+// steps, each a READ_FILE, RUN_CMD, RUN_SCRIPT or WRITE_FILE action. Runbooks
+// are stored as JSON files under .middleclaw-runbooks/. Step targets and
+// content are templates: {{name}} is a parameter and {{steps.NAME.output}}
+// (or .exit_code, .success) a result of an earlier step. The UI runs the
+// steps in order, asking the server to render each one just before showing
+// it, and every step is approved and executed through /api/execute.
+
+const RUNBOOK_ID_RE = /^[a-z0-9][a-z0-9_-]{0,79}$/;
+// Parameter and step names appear in templates, so they're identifiers
+const RUNBOOK_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const RUNBOOK_STEP_TYPES = ['READ_FILE', 'RUN_CMD', 'RUN_SCRIPT', 'WRITE_FILE'];
+const RUNBOOK_PARAM_TYPES = ['string', 'number', 'boolean', 'path', 'choice'];
+const RUNBOOK_STEP_FIELDS = ['output', 'exit_code', 'success'];
+const RUNBOOK_TEMPLATE_RE = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const RUNBOOK_MAX_STEPS = 50;
+const RUNBOOK_MAX_PARAMS = 30;
+
+function getRunbookPath(id) {
+  return join(RUNBOOKS_DIR, `${id}.json`);
+}
+
+// "Gateway won't start" → "gateway-won-t-start"
+function runbookId(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'runbook';
+}
+
+function readRunbook(id) {
+  if (!RUNBOOK_ID_RE.test(id)) return null;
+  try {
+    return JSON.parse(readFileSync(getRunbookPath(id), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeRunbook(runbook) {
+  if (!existsSync(RUNBOOKS_DIR)) mkdirSync(RUNBOOKS_DIR, { recursive: true });
+  const path = getRunbookPath(runbook.id);
+  const tmpPath = `${path}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(runbook, null, 2) + '\n', 'utf-8');
+  renameSync(tmpPath, path);
+  return runbook;
+}
+
+function listRunbooks() {
+  if (!existsSync(RUNBOOKS_DIR)) return [];
+  return readdirSync(RUNBOOKS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => readRunbook(file.slice(0, -5)))
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check a template against the parameters and the steps before it. Returns
+ * an error message for the first reference that can't be resolved, or null.
+ */
+function checkRunbookTemplate(text, paramNames, earlierSteps) {
+  for (const [, ref] of String(text ?? '').matchAll(RUNBOOK_TEMPLATE_RE)) {
+    const parts = ref.split('.');
+    if (parts.length === 1 && paramNames.includes(ref)) continue;
+    if (parts[0] === 'steps' && parts.length === 3) {
+      if (!earlierSteps.includes(parts[1])) return `{{${ref}}} refers to "${parts[1]}", which isn't an earlier step`;
+      if (!RUNBOOK_STEP_FIELDS.includes(parts[2])) return `{{${ref}}}: a step result has ${RUNBOOK_STEP_FIELDS.join(', ')}`;
+      continue;
+    }
+    return `{{${ref}}} is not a parameter or a steps.NAME.output reference`;
+  }
+  return null;
+}
+
+/**
+ * Validate a runbook definition and return it normalized, with only known
+ * fields kept. Throws an Error listing every problem found.
+ */
+function validateRunbook(body, existing = null) {
+  const errors = [];
+  const name = typeof body?.name === 'string' ? body.name.trim() : '';
+  if (!name) errors.push('name is required');
+
+  const params = [];
+  const rawParams = body?.params ?? [];
+  if (!Array.isArray(rawParams)) errors.push('params must be an array');
+  else if (rawParams.length > RUNBOOK_MAX_PARAMS) errors.push(`at most ${RUNBOOK_MAX_PARAMS} params are allowed`);
+  else {
+    for (const [i, p] of rawParams.entries()) {
+      const where = `params[${i}]`;
+      if (!p || typeof p !== 'object') { errors.push(`${where} must be an object`); continue; }
+      if (!RUNBOOK_NAME_RE.test(p.name ?? '')) { errors.push(`${where}.name must be an identifier (letters, digits, _)`); continue; }
+      if (params.some(q => q.name === p.name)) { errors.push(`param "${p.name}" is defined twice`); continue; }
+      const type = p.type ?? 'string';
+      if (!RUNBOOK_PARAM_TYPES.includes(type)) { errors.push(`param "${p.name}": type must be one of ${RUNBOOK_PARAM_TYPES.join(', ')}`); continue; }
+      const param = { name: p.name, type, description: typeof p.description === 'string' ? p.description : '', required: p.required !== false };
+      if (type === 'choice') {
+        if (!Array.isArray(p.options) || !p.options.length || p.options.some(o => typeof o !== 'string')) { errors.push(`param "${p.name}": choice needs a list of string options`); continue; }
+        param.options = p.options;
+      }
+      if (p.default !== undefined && p.default !== null && p.default !== '') {
+        try {
+          param.default = coerceRunbookParam(param, p.default);
+        } catch (err) {
+          errors.push(`param "${p.name}": default ${err.message}`);
+        }
+      }
+      params.push(param);
+    }
+  }
+
+  const steps = [];
+  const rawSteps = body?.steps;
+  if (!Array.isArray(rawSteps) || !rawSteps.length) errors.push('steps must be a non-empty array');
+  else if (rawSteps.length > RUNBOOK_MAX_STEPS) errors.push(`at most ${RUNBOOK_MAX_STEPS} steps are allowed`);
+  else {
+    const paramNames = params.map(p => p.name);
+    for (const [i, st] of rawSteps.entries()) {
+      const where = `steps[${i}]`;
+      if (!st || typeof st !== 'object') { errors.push(`${where} must be an object`); continue; }
+      const stepName = st.name ?? `step${i + 1}`;
+      if (!RUNBOOK_NAME_RE.test(stepName)) { errors.push(`${where}.name must be an identifier (letters, digits, _)`); continue; }
+      if (steps.some(x => x.name === stepName)) { errors.push(`step "${stepName}" is defined twice`); continue; }
+      if (!RUNBOOK_STEP_TYPES.includes(st.type)) { errors.push(`step "${stepName}": type must be one of ${RUNBOOK_STEP_TYPES.join(', ')}`); continue; }
+      if (typeof st.target !== 'string' || !st.target.trim()) { errors.push(`step "${stepName}": target is required`); continue; }
+      if (st.content != null && typeof st.content !== 'string') { errors.push(`step "${stepName}": content must be a string`); continue; }
+      const earlier = steps.map(x => x.name);
+      const problem = checkRunbookTemplate(st.target, paramNames, earlier) || checkRunbookTemplate(st.content, paramNames, earlier);
+      if (problem) { errors.push(`step "${stepName}": ${problem}`); continue; }
+      steps.push({
+        name: stepName,
+        type: st.type,
+        description: typeof st.description === 'string' ? st.description : '',
+        target: st.target,
+        content: st.content ?? null,
+        continue_on_error: st.continue_on_error === true,
+      });
+    }
+  }
+
+  if (errors.length) throw new Error(errors.join('; '));
+  const now = new Date().toISOString();
+  return {
+    id: existing?.id || runbookId(name),
+    name,
+    description: typeof body.description === 'string' ? body.description.trim() : '',
+    params,
+    steps,
+    created_at: existing?.created_at || now,
+    updated_at: now,
+  };
+}
+
+// One parameter value, converted to its declared type. Throws with a reason if it doesn't fit.
+function coerceRunbookParam(param, value) {
+  switch (param.type) {
+    case 'number': {
+      const n = typeof value === 'number' ? value : Number(String(value).trim());
+      if (String(value).trim() === '' || !Number.isFinite(n)) throw new Error(`must be a number, got "${value}"`);
+      return n;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw new Error(`must be true or false, got "${value}"`);
+    case 'choice':
+      if (!param.options.includes(String(value))) throw new Error(`must be one of ${param.options.join(', ')}, got "${value}"`);
+      return String(value);
+    case 'path':
+      if (typeof value !== 'string' || /[\r\n]/.test(value)) throw new Error('must be a single-line path');
+      return value.trim();
+    default:
+      if (typeof value !== 'string') throw new Error('must be a string');
+      return value;
+  }
+}
+
+// Parameter values for a run: defaults filled in, every value checked against its type
+function resolveRunbookParams(runbook, values = {}) {
+  const resolved = {};
+  const errors = [];
+  for (const param of runbook.params) {
+    const value = values[param.name];
+    if (value === undefined || value === null || value === '') {
+      if (param.default !== undefined) resolved[param.name] = param.default;
+      else if (param.required) errors.push(`"${param.name}" is required`);
+      else resolved[param.name] = '';
+      continue;
+    }
+    try {
+      resolved[param.name] = coerceRunbookParam(param, value);
+    } catch (err) {
+      errors.push(`"${param.name}" ${err.message}`);
+    }
   }
+  if (errors.length) throw new Error(`Invalid parameters: ${errors.join('; ')}`);
+  return resolved;
+}
+
+/**
+ * Fill in one step's templates. `results` maps earlier step names to
+ * { output, exit_code, success }; output has trailing newlines trimmed, as
+ * with shell command substitution.
+ */
+function renderRunbookStep(runbook, index, params, results = {}) {
+  const step = runbook.steps[index];
+  if (!step) throw new Error(`Runbook "${runbook.name}" has no step ${index + 1}`);
+  const fill = text => (text == null ? null : text.replace(RUNBOOK_TEMPLATE_RE, (_, ref) => {
+    const parts = ref.split('.');
+    if (parts.length === 1) return String(params[ref] ?? '');
+    const result = results[parts[1]];
+    if (!result) throw new Error(`Step "${step.name}" needs the result of "${parts[1]}", which hasn't run`);
+    const value = result[parts[2]];
+    return parts[2] === 'output' ? String(value ?? '').replace(/\n+$/, '') : String(value ?? '');
+  }));
+  return { index, name: step.name, description: step.description, type: step.type, target: fill(step.target), content: fill(step.content), continue_on_error: step.continue_on_error };
+}
+
+// For the system prompt: what the user can run from the Runbooks panel
+function describeRunbooks() {
+  const runbooks = listRunbooks();
+  if (!runbooks.length) return 'None yet.';
+  return runbooks.map(r => `- ${r.name}${r.description ? `: ${r.description}` : ''} (${r.steps.length} step${r.steps.length === 1 ? '' : 's'}${r.params.length ? `; params ${r.params.map(p => p.name).join(', ')}` : ''})`).join('\n');
+}
+
+app.get('/api/runbooks', (_req, res) => {
+  res.json({ runbooks: listRunbooks() });
 });
 
-// ── Ollama health check ─────────────────────────────────────────────────────
+app.get('/api/runbooks/:id', (req, res) => {
+  const runbook = readRunbook(req.params.id);
+  if (!runbook) return res.status(404).json({ error: 'Runbook not found' });
+  res.json(runbook);
+});
 
-app.get('/api/health', async (_req, res) => {
+app.post('/api/runbooks', (req, res) => {
+  let runbook;
   try {
-    const resp = await fetch(`${OLLAMA_URL}/api/tags`);
-    if (resp.ok) {
-      const data = await resp.json();
-      const models = (data.models || []).map(m => m.name);
-      res.json({ status: 'ok', models, configured_model: MODEL });
-    } else {
-      res.json({ status: 'error', message: 'Ollama responded with an error' });
-    }
-  } catch {
-    res.json({ status: 'error', message: 'Cannot reach Ollama at ' + OLLAMA_URL });
+    runbook = validateRunbook(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (readRunbook(runbook.id)) return res.status(409).json({ error: `A runbook with id "${runbook.id}" already exists` });
+  try {
+    res.status(201).json(writeRunbook(runbook));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save runbook: ' + err.message });
   }
 });
 
-// ── ElevenLabs TTS Proxy ─────────────────────────────────────────────────────
-
-app.post('/api/tts', async (req, res) => {
-  const { text } = req.body;
-  if (!text || !text.trim()) {
-    return res.status(400).json({ error: 'No text provided' });
+app.put('/api/runbooks/:id', (req, res) => {
+  const existing = readRunbook(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Runbook not found' });
+  let runbook;
+  try {
+    runbook = validateRunbook(req.body, existing);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
-
-  let current = {};
-  try { current = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')); } catch {}
-
-  const apiKey = current.elevenlabs_api_key;
-  const voiceId = current.elevenlabs_voice_id || '21m00Tcm4TlvDq8ikWAM';
-
-  if (!apiKey) {
-    return res.status(400).json({ error: 'ElevenLabs API key not configured' });
+  try {
+    res.json(writeRunbook(runbook));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save runbook: ' + err.message });
   }
+});
 
+app.delete('/api/runbooks/:id', (req, res) => {
+  const { id } = req.params;
+  if (!readRunbook(id)) return res.status(404).json({ error: 'Runbook not found' });
   try {
-    const ttsResp = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${encodeURIComponent(voiceId)}`, {
-      method: 'POST',
-      headers: {
-        'xi-api-key': apiKey,
-        'Content-Type': 'application/json',
-        'Accept': 'audio/mpeg',
-      },
-      body: JSON.stringify({
-        text: text.trim(),
-        model_id: 'eleven_monolingual_v1',
-        voice_settings: { stability: 0.5, similarity_boost: 0.5 },
-      }),
-    });
-
-    if (!ttsResp.ok) {
-      const errText = await ttsResp.text();
-      return res.status(ttsResp.status).json({ error: errText });
-    }
+    unlinkSync(getRunbookPath(id));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete runbook: ' + err.message });
+  }
+});
 
-    res.setHeader('Content-Type', 'audio/mpeg');
-    res.setHeader('Cache-Control', 'no-cache');
-    const buffer = await ttsResp.arrayBuffer();
-    res.send(Buffer.from(buffer));
+// Body: { params, step, results } — validates the parameters and returns step `step` rendered as an action
+app.post('/api/runbooks/:id/render', (req, res) => {
+  const runbook = readRunbook(req.params.id);
+  if (!runbook) return res.status(404).json({ error: 'Runbook not found' });
+  const { params, step = 0, results } = req.body || {};
+  try {
+    const resolved = resolveRunbookParams(runbook, params);
+    res.json({ params: resolved, steps: runbook.steps.length, step: renderRunbookStep(runbook, Number(step), resolved, results) });
   } catch (err) {
-    res.status(500).json({ error: 'TTS request failed: ' + err.message });
+    res.status(400).json({ error: err.message });
   }
 });
 
-// ── ElevenLabs STT Proxy (Scribe) ────────────────────────────────────────────
+// ── Chat (streaming) ────────────────────────────────────────────────────────
 
-app.post('/api/stt', async (req, res) => {
-  const { audio, mimeType } = req.body;
-  if (!audio) {
-    return res.status(400).json({ error: 'No audio data provided' });
-  }
+// Tool definitions for Ollama's native tool-calling API. Each tool maps its
+// JSON arguments onto the { type, target, content } shape used by /api/execute.
+const ACTION_TOOLS = {
+  READ_FILE: {
+    description: 'Read the full contents of a file. Requires user approval.',
+    parameters: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'Absolute path of the file to read' } },
+      required: ['path'],
+    },
+    toAction: a => ({ target: a.path, content: null }),
+    toTag: a => a.path,
+  },
+  LIST_DIR: {
+    description: 'List a directory with each entry\'s type, size and modification time. Requires user approval.',
+    parameters: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'Absolute path of the directory' } },
+      required: ['path'],
+    },
+    toAction: a => ({ target: a.path, content: null }),
+    toTag: a => a.path,
+  },
+  TAIL_FILE: {
+    description: `Read the end of a file, such as a log. Returns the last ${TAIL_DEFAULT_LINES} lines unless told otherwise. Requires user approval.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Absolute path of the file' },
+        lines: { type: 'integer', description: `Number of lines to return (default ${TAIL_DEFAULT_LINES}, max ${TAIL_MAX_LINES})` },
+        bytes: { type: 'integer', description: `Return the last N bytes instead of lines (max ${TAIL_MAX_BYTES})` },
+        filter: { type: 'string', description: 'Only return lines matching this JavaScript regular expression' },
+        ignore_case: { type: 'boolean', description: 'Match the filter case-insensitively' },
+      },
+      required: ['path'],
+    },
+    toAction: a => ({ target: a.path, content: actionOptions({ lines: a.lines, bytes: a.bytes, ignore_case: a.ignore_case }, 'filter', a.filter) }),
+    toTag: a => tagWithOptions(a.path, actionOptions({ lines: a.lines, bytes: a.bytes, ignore_case: a.ignore_case }, 'filter', a.filter)),
+  },
+  SEARCH: {
+    description: 'Search the files under a directory (or a single file) for lines matching a regular expression. Returns file:line: text for each match. Requires user approval.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Absolute path of the directory or file to search' },
+        pattern: { type: 'string', description: 'Regular expression to search for (RE2 syntax: no lookaround or backreferences)' },
+        glob: { type: 'string', description: 'Only search files whose name matches this pattern, e.g. *.log' },
+        max_matches: { type: 'integer', description: `Stop after this many matches (default ${SEARCH_DEFAULT_MATCHES}, max ${SEARCH_MAX_MATCHES})` },
+        ignore_case: { type: 'boolean', description: 'Match case-insensitively' },
+      },
+      required: ['path', 'pattern'],
+    },
+    toAction: a => ({ target: a.path, content: actionOptions({ glob: a.glob, max: a.max_matches, ignore_case: a.ignore_case }, 'pattern', a.pattern) }),
+    toTag: a => tagWithOptions(a.path, actionOptions({ glob: a.glob, max: a.max_matches, ignore_case: a.ignore_case }, 'pattern', a.pattern)),
+  },
+  OPENCLAW: {
+    description: `Call the OpenClaw CLI. Operations: ${Object.entries(OPENCLAW_OPS).map(([op, o]) => `"${op}" (${o.description})`).join(', ')}. Runs asynchronously. Requires user approval.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        op: { type: 'string', enum: Object.keys(OPENCLAW_OPS), description: 'The operation to run' },
+        agent: { type: 'string', description: 'agent: name of the agent to message, e.g. main' },
+        session: { type: 'string', description: 'agent: id of an existing session to continue (from the sessions operation)' },
+        channel: { type: 'string', description: 'send: channel to deliver on, e.g. telegram' },
+        to: { type: 'string', description: 'send: recipient on that channel' },
+        message: { type: 'string', description: 'agent and send: the message text' },
+      },
+      required: ['op'],
+    },
+    toAction: a => ({ target: a.op, content: actionOptions({ agent: a.agent, session: a.session, channel: a.channel, to: a.to }, 'message', a.message) }),
+    toTag: a => tagWithOptions(a.op, actionOptions({ agent: a.agent, session: a.session, channel: a.channel, to: a.to }, 'message', a.message)),
+  },
+  RUN_CMD: {
+    description: 'Run a shell command on the host. Requires user approval.',
+    parameters: {
+      type: 'object',
+      properties: { command: { type: 'string', description: 'The full shell command to run' } },
+      required: ['command'],
+    },
+    toAction: a => ({ target: a.command, content: null }),
+    toTag: a => a.command,
+  },
+  RUN_SCRIPT: {
+    description: 'Execute an existing .sh, .bash, .bat, .cmd or .ps1 script. Requires user approval.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Absolute path of the script' },
+        args: { type: 'string', description: 'Optional arguments passed to the script' },
+      },
+      required: ['path'],
+    },
+    toAction: a => ({ target: a.path, content: a.args || null }),
+    toTag: a => a.args ? `${a.path}:${a.args}` : a.path,
+  },
+  WRITE_FILE: {
+    description: 'Create or overwrite a file with new content. The original is backed up first. Requires user approval.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Absolute path of the file to write' },
+        content: { type: 'string', description: 'The complete new file content' },
+      },
+      required: ['path', 'content'],
+    },
+    toAction: a => ({ target: a.path, content: a.content ?? '' }),
+    toTag: a => `${a.path}:${a.content ?? ''}`,
+  },
+  SAVE_RUNBOOK: {
+    description: 'Save a sequence of steps as a runbook the user can run again later with different parameters. Requires user approval.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Short title, e.g. "Gateway won\'t start"' },
+        description: { type: 'string', description: 'When to use this runbook' },
+        params: {
+          type: 'array',
+          description: 'Values that change between runs, used in steps as {{name}}',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Identifier: letters, digits and _' },
+              type: { type: 'string', enum: RUNBOOK_PARAM_TYPES },
+              description: { type: 'string' },
+              default: { type: 'string' },
+              options: { type: 'array', items: { type: 'string' }, description: 'Allowed values for type choice' },
+            },
+            required: ['name'],
+          },
+        },
+        steps: {
+          type: 'array',
+          description: 'Actions in order. {{steps.NAME.output}} inserts the output of an earlier step',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Identifier: letters, digits and _' },
+              type: { type: 'string', enum: RUNBOOK_STEP_TYPES },
+              target: { type: 'string', description: 'Path for READ_FILE, RUN_SCRIPT and WRITE_FILE; the command for RUN_CMD' },
+              content: { type: 'string', description: 'Script arguments for RUN_SCRIPT, file content for WRITE_FILE' },
+              continue_on_error: { type: 'boolean', description: 'Carry on with the next step if this one fails' },
+            },
+            required: ['name', 'type', 'target'],
+          },
+        },
+      },
+      required: ['name'],
+    },
+    toAction: a => ({ target: a.name, content: JSON.stringify({ description: a.description, params: a.params, steps: a.steps }, null, 2) }),
+    toTag: a => `${a.name}:${JSON.stringify({ description: a.description, params: a.params, steps: a.steps })}`,
+  },
+};
 
-  let current = {};
-  try { current = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')); } catch {}
+// A plan proposes several of the actions above at once, each with the model's
+// reason for it. The UI lets the user review and trim the plan; every step
+// still goes through /api/execute on its own, and a failed step pauses the rest.
+const PLAN_MAX_STEPS = 10;
+const PLAN_STEP_TYPES = Object.keys(ACTION_TOOLS).filter(t => t !== 'SAVE_RUNBOOK');
+
+ACTION_TOOLS.PLAN = {
+  description: `Propose up to ${PLAN_MAX_STEPS} actions at once, each with a reason. The user reviews the plan, can leave steps out, and approves it as a whole or step by step; all results come back in one message. Only for steps that don't need each other's results. Requires user approval.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', description: 'What the plan is for, e.g. "Check gateway config and logs"' },
+      steps: {
+        type: 'array',
+        description: 'The actions, in the order they should run',
+        items: {
+          type: 'object',
+          properties: {
+            action: { type: 'string', enum: PLAN_STEP_TYPES, description: 'Which action tool to call' },
+            arguments: { type: 'object', description: 'The arguments that tool takes, e.g. { "path": "/var/log/x.log" } for READ_FILE' },
+            rationale: { type: 'string', description: 'One sentence on why this step is needed' },
+          },
+          required: ['action', 'arguments', 'rationale'],
+        },
+      },
+    },
+    required: ['title'],
+  },
+  toAction: a => ({ target: a.title, content: JSON.stringify({ steps: planSteps(a.steps) }, null, 2) }),
+  toTag: a => `${a.title}:${JSON.stringify({ steps: planSteps(a.steps) })}`,
+};
 
-  const apiKey = current.elevenlabs_api_key;
-  if (!apiKey) {
-    return res.status(400).json({ error: 'ElevenLabs API key not configured' });
-  }
+// Plan steps from a tool call, as the { type, target, content, rationale } objects a PLAN tag carries.
+// Steps naming an unknown action or missing a required argument are dropped.
+function planSteps(steps) {
+  return (Array.isArray(steps) ? steps : []).slice(0, PLAN_MAX_STEPS).flatMap(step => {
+    const tool = PLAN_STEP_TYPES.includes(step?.action) && ACTION_TOOLS[step.action];
+    const args = parseToolArgs(step?.arguments);
+    if (!tool || tool.parameters.required.some(k => typeof args[k] !== 'string')) return [];
+    return [{ type: step.action, ...tool.toAction(args), rationale: typeof step.rationale === 'string' ? step.rationale : '' }];
+  });
+}
 
-  try {
-    const audioBuffer = Buffer.from(audio, 'base64');
-    const ext = (mimeType || '').includes('ogg') ? 'ogg' : (mimeType || '').includes('mp4') ? 'mp4' : 'webm';
-    const blob = new Blob([audioBuffer], { type: mimeType || 'audio/webm' });
+// The option string parsed by parseActionOptions(): key=value pairs, then the free-text option last
+function actionOptions(opts, restKey, rest) {
+  const pairs = Object.entries(opts).filter(([, v]) => v != null && v !== '' && v !== false).map(([k, v]) => `${k}=${v}`);
+  if (rest) pairs.push(`${restKey}=${rest}`);
+  return pairs.join(' ') || null;
+}
 
-    const formData = new FormData();
-    formData.append('file', blob, `recording.${ext}`);
-    formData.append('model_id', 'scribe_v2');
+function tagWithOptions(target, options) {
+  return options ? `${target}:${options}` : target;
+}
 
-    const sttResp = await fetch('https://api.elevenlabs.io/v1/speech-to-text', {
-      method: 'POST',
-      headers: { 'xi-api-key': apiKey },
-      body: formData,
-    });
+// Both providers take tools in the same { type: 'function', function } shape
+const CHAT_TOOLS = Object.entries(ACTION_TOOLS).map(([name, t]) => ({
+  type: 'function',
+  function: { name, description: t.description, parameters: t.parameters },
+}));
 
-    if (!sttResp.ok) {
-      const errText = await sttResp.text();
-      return res.status(sttResp.status).json({ error: errText });
-    }
+// "provider:model" pairs that rejected the tools API. They fall back to [ACTION:...] text tags.
+const modelsWithoutTools = new Set();
 
-    const result = await sttResp.json();
-    res.json({ text: result.text || '' });
-  } catch (err) {
-    res.status(500).json({ error: 'STT request failed: ' + err.message });
-  }
-});
+/**
+ * Convert a normalized tool call into an action proposal, or null if the model
+ * called a tool we don't know or left out a required argument.
+ */
+function toolCallToAction(call) {
+  const name = call?.function?.name;
+  const tool = ACTION_TOOLS[name];
+  if (!tool) return null;
+  const args = parseToolArgs(call.function.arguments);
+  if (tool.parameters.required.some(k => typeof args[k] !== 'string')) return null;
+  return { type: name, ...tool.toAction(args) };
+}
 
-// ── Chat (streaming) ────────────────────────────────────────────────────────
+/**
+ * For models without tool support, rewrite earlier tool calls in the history
+ * as legacy action tags so the model still sees what it asked for.
+ */
+function toLegacyMessages(messages) {
+  return messages.map(m => {
+    if (!m.tool_calls?.length) return m;
+    const tags = m.tool_calls
+      .filter(c => ACTION_TOOLS[c?.function?.name])
+      .map(c => `[ACTION:${c.function.name}:${ACTION_TOOLS[c.function.name].toTag(parseToolArgs(c.function.arguments))}[/ACTION]`);
+    const { tool_calls, ...rest } = m;
+    return { ...rest, content: [m.content, ...tags].filter(Boolean).join('\n') };
+  });
+}
 
-function buildSystemPrompt() {
+function buildSystemPrompt(useTools = false) {
   return `You are MiddleClaw, the OpenClaw Bridge. Your job is to help the user interact with OpenClaw by executing commands that communicate with the OpenClaw Gateway.
 
 IMPORTANT: Try to answer from your own knowledge first. You know:
-- Igor (benchmarking): http://localhost:3456/igor
-- Frankenstein (lab): http://localhost:3456/frankenstein
-- DoctorClaw (diagnostics): http://localhost:3333
-- MiddleClaw (this UI): http://localhost:3334
-- OpenClaw Gateway: http://127.0.0.1:18789
+- MiddleClaw (this UI): http://localhost:${PORT}
+- OpenClaw Gateway: ${GATEWAY_URL}
+${Object.entries(SERVICES).map(([name, url]) => `- ${name}: ${url}`).join('\n')}
+
+CURRENT STATUS (probed by MiddleClaw; trust this over guesses and mention anything that is down when it's relevant):
+${describeOpenclawStatus(currentOpenclawStatus())}
 
-If you don't know the answer, use these OpenClaw CLI commands:
-- To ask OpenClaw questions: openclaw agent --agent main --message "your question" OR openclaw agent --session-id <session-id> --message "your question" (get session-id from: openclaw sessions --json)
-- To check OpenClaw status: openclaw status
-- To list sessions: openclaw sessions list
-- To send messages via channels: openclaw message send --channel <channel> --target <target> --message "message"
+SAVED RUNBOOKS:
+${describeRunbooks()}
 
-Use OpenClaw commands ONLY when you can't answer from your own knowledge. Commands can be slow (timeout is 2 minutes), so try to answer quickly first.
+If you don't know the answer, use the OPENCLAW action, which calls the OpenClaw CLI for you:
+- To check OpenClaw status: op "status"
+- To list sessions: op "sessions"
+- To ask OpenClaw questions: op "agent" with agent "main" and your message, OR with the session id of an existing session (from op "sessions") and your message
+- To send messages via channels: op "send" with channel, to (the recipient) and message
+Do NOT run these as openclaw commands with RUN_CMD. Use RUN_CMD only for openclaw subcommands the OPENCLAW action doesn't cover.
+
+Use OpenClaw ONLY when you can't answer from your own knowledge. Agent calls can be slow and run in the background, so try to answer quickly first.
 
 Your job is to bridge between the user and the OpenClaw Gateway system.
 
@@ -1007,21 +4977,35 @@ ENVIRONMENT:
 - Config file location: ${CONFIG_PATH}
 - Readable paths: ${SAFE_READ_PATHS.join(', ')}
 - Writable paths: ${SAFE_WRITE_PATHS.join(', ')}
+- Denied paths (never accessible, even inside readable/writable paths): ${DENY_PATHS.join(', ')}
 - The user can add more paths by editing middleclaw.config.json (read_paths and write_paths arrays).
-- IMPORTANT: There is a Settings panel in the MiddleClaw UI — the user can click the gear icon (⚙) in the top-right header to open it. The Settings panel lets the user configure: Ollama URL, model, port, OpenClaw directory, and all readable/writable paths. All changes are saved to middleclaw.config.json automatically. Path changes take effect immediately without a restart. If a user asks how to configure paths or settings, ALWAYS direct them to the Settings panel (gear icon) first — do NOT tell them to manually edit the JSON file.
+- IMPORTANT: There is a Settings panel in the MiddleClaw UI — the user can click the gear icon (⚙) in the top-right header to open it. The Settings panel lets the user configure: Ollama URL, model, port, OpenClaw directory, and all readable/writable paths. All changes are saved to middleclaw.config.json automatically. Changes take effect immediately without a restart. If a user asks how to configure paths or settings, ALWAYS direct them to the Settings panel (gear icon) first — do NOT tell them to manually edit the JSON file.
 
 RULES:
-1. You can REQUEST actions (reading files, running commands, writing files) but you CANNOT execute them yourself. The user must approve each action.
-2. When you need to perform an action, output it in EXACTLY this format on its own line:
+1. You can REQUEST actions (reading files, listing directories, searching files, running commands, writing files) but you CANNOT execute them yourself. The user must approve each action.
+2. ${useTools ? `When you need to perform an action, call the matching tool (READ_FILE, LIST_DIR, TAIL_FILE, SEARCH, OPENCLAW, RUN_CMD, RUN_SCRIPT, WRITE_FILE, SAVE_RUNBOOK or PLAN). Do NOT write action tags in your text.` : `When you need to perform an action, output it in EXACTLY this format on its own line:
    [ACTION:READ_FILE:/path/to/file[/ACTION]
+   [ACTION:LIST_DIR:/path/to/directory[/ACTION]
+   [ACTION:TAIL_FILE:/path/to/file[/ACTION]
+   [ACTION:TAIL_FILE:/path/to/file:lines=200 ignore_case=true filter=error|warn[/ACTION]
+   [ACTION:SEARCH:/path/to/directory:pattern=regular expression[/ACTION]
+   [ACTION:SEARCH:/path/to/directory:glob=*.log max=20 pattern=regular expression[/ACTION]
+   [ACTION:OPENCLAW:status[/ACTION]
+   [ACTION:OPENCLAW:sessions[/ACTION]
+   [ACTION:OPENCLAW:agent:agent=main message=your question[/ACTION]
+   [ACTION:OPENCLAW:agent:session=SESSION_ID message=your question[/ACTION]
+   [ACTION:OPENCLAW:send:channel=CHANNEL to=RECIPIENT message=message text[/ACTION]
    [ACTION:RUN_CMD:command here[/ACTION]
    [ACTION:RUN_SCRIPT:/path/to/script.sh[/ACTION]
    [ACTION:RUN_SCRIPT:/path/to/script.sh:arg1 arg2[/ACTION]
    [ACTION:WRITE_FILE:/path/to/file:content here[/ACTION]
+   [ACTION:PLAN:Short title:{"steps":[{"type":"READ_FILE","target":"/path/to/file","rationale":"why"},{"type":"TAIL_FILE","target":"/path/to/log","content":"lines=200","rationale":"why"}]}[/ACTION]
+   [ACTION:SAVE_RUNBOOK:Runbook name:{"description":"...","params":[{"name":"lines","type":"number","default":"200"}],"steps":[{"name":"status","type":"RUN_CMD","target":"openclaw status"}]}[/ACTION]
+   TAIL_FILE takes lines=N (default ${TAIL_DEFAULT_LINES}, max ${TAIL_MAX_LINES}) or bytes=N, ignore_case=true, and filter=REGEX, which must come last. SEARCH takes glob=NAME_PATTERN, max=N (default ${SEARCH_DEFAULT_MATCHES}), ignore_case=true, and pattern=REGEX, which is required and must come last. Patterns use RE2 syntax: no lookaround or backreferences.`}
 3. ALWAYS use absolute paths (starting with / on linux/mac, or drive letter on windows). Never use relative paths.
 4. RUN_SCRIPT can execute .sh, .bash, .bat, .cmd, and .ps1 scripts from any readable directory. The correct shell is chosen automatically based on the file extension and configured OS. Use RUN_SCRIPT instead of RUN_CMD when executing existing scripts.
-5. Use commands and paths appropriate for the configured operating system (${OS_TYPE}). For example, use ls on linux/mac and dir on windows.
-6. Only request ONE action at a time. Wait for the result before requesting the next.
+5. Use commands and paths appropriate for the configured operating system (${OS_TYPE}). For example, use ps on linux/mac and tasklist on windows.
+6. Request ONE action at a time and wait for its result, unless you already know you need several actions that don't depend on each other's results, such as reading a handful of config and log files. Then propose them together as a PLAN of at most ${PLAN_MAX_STEPS} steps, with a one-sentence rationale for each. The user can leave steps out, and you get all the results back in one message; a step that fails pauses the rest. Never put a step in a plan that needs the output of an earlier step, and never propose a plan and a separate action in the same reply.
 7. NEVER suggest actions that could damage the system — no destructive commands, no formatting disks, no deleting critical system files.
 8. Always explain WHY you want to perform each action before requesting it.
 9. When proposing a fix that writes to a file, show the user what you plan to write and explain the change.
@@ -1031,176 +5015,478 @@ RULES:
 13. If an action FAILS or is DENIED, explain to the user what went wrong in plain language, suggest an alternative approach, and continue. Do NOT stop or get stuck.
 14. If a path is denied due to access restrictions, tell the user which paths are currently writable, and let them know they can add more paths by clicking the gear icon (⚙) in the top-right corner to open Settings.
 15. Only write to paths listed in the writable paths above. If you need to write somewhere else, tell the user to add it to the config first.
-16. If the user sends a casual greeting (like "hi", "hello", "hey", etc.) or a non-technical message, respond warmly and briefly. Introduce yourself as MiddleClaw, the OpenClaw Bridge, and ask how you can help. Do NOT ignore greetings or return an empty response.`;
+16. To look around the file system, use LIST_DIR, TAIL_FILE and SEARCH instead of running ls, tail or grep with RUN_CMD. They work on every operating system and only need the path to be readable. Use TAIL_FILE rather than READ_FILE for logs and other large files.
+17. When a diagnosis took several steps and is likely to come up again, offer to save it as a runbook with SAVE_RUNBOOK. Runbook steps can only be READ_FILE, RUN_CMD, RUN_SCRIPT or WRITE_FILE. Make values that differ between runs (paths, service names, line counts) params of type string, number, boolean, path or choice, and use them in steps as {{name}}. A step can use an earlier step's result as {{steps.NAME.output}}, {{steps.NAME.exit_code}} or {{steps.NAME.success}}. If a saved runbook below fits the problem, tell the user to run it from the Runbooks button in the header instead of repeating its steps.
+18. If the user sends a casual greeting (like "hi", "hello", "hey", etc.) or a non-technical message, respond warmly and briefly. Introduce yourself as MiddleClaw, the OpenClaw Bridge, and ask how you can help. Do NOT ignore greetings or return an empty response.`;
 }
 
-app.post('/api/chat', async (req, res) => {
-  const { messages } = req.body;
+// ── Context window ──────────────────────────────────────────────────────────
+//
+// Token use is estimated at ~4 characters per token. When a request would
+// fill more than CONTEXT_SUMMARIZE_AT of the model's window, older turns are
+// condensed by the model itself into one pinned summary message; the latest
+// turn (the user's message and the action results after it) and as many
+// recent turns as fit in CONTEXT_KEEP stay verbatim. The UI gets the summary
+// back and replaces the condensed messages in its copy of the conversation.
+
+const CONTEXT_SUMMARIZE_AT = 0.75;
+const CONTEXT_KEEP = 0.35;
+// Action results are sent back by the UI as user messages with this prefix
+const ACTION_RESULT_PREFIX = '[Result of ';
+// "provider|url|model" → context length reported by the backend (null if unknown)
+const detectedContextWindows = new Map();
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
 
-  const ollamaMessages = [
-    { role: 'system', content: buildSystemPrompt() },
-    ...messages,
-  ];
+// A few tokens of per-message overhead for the role and chat-template markers
+function messageTokens(m) {
+  return 4 + estimateTokens(m.content) + (m.tool_calls ? estimateTokens(JSON.stringify(m.tool_calls)) : 0);
+}
+
+async function contextWindow(provider, model) {
+  if (CONTEXT_WINDOW) return CONTEXT_WINDOW;
+  const settings = providerSettings(provider);
+  const key = `${provider}|${settings.url}|${model}`;
+  if (!detectedContextWindows.has(key)) {
+    detectedContextWindows.set(key, await LLM_PROVIDERS[provider].contextLength({ ...settings, model }).catch(() => null));
+  }
+  return detectedContextWindows.get(key) || DEFAULT_CONTEXT_WINDOW;
+}
+
+function contextUsage(messages, limit) {
+  const used = estimateTokens(buildSystemPrompt(true)) + messages.reduce((sum, m) => sum + messageTokens(m), 0);
+  return { used, limit };
+}
+
+const SUMMARY_PROMPT = `You condense a troubleshooting conversation between a user and MiddleClaw, an assistant that runs user-approved actions on the user's system.
+Write a concise bullet-point summary that preserves:
+- what the user is trying to achieve
+- hosts, services, paths, versions and settings that came up
+- every action taken and its outcome (command or file, success or failure, exit code, key output)
+- errors found and their causes, fixes applied, decisions made
+- open questions and next steps
+Include an earlier summary, if there is one, in yours. Do not invent details.`;
+
+// Ask the model for a summary, with the transcript trimmed to fit its own window
+async function summarizeMessages({ provider, model, messages, limit, signal }) {
+  const clip = text => (text.length > 2000 ? text.slice(0, 2000) + ' …[clipped]' : text);
+  const lines = toLegacyMessages(messages).map(m => (m.pinned
+    ? `Earlier summary:\n${m.content}`
+    : `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${clip(m.content || '')}`));
+  const budget = Math.floor(limit * 0.6) * 4;
+  let start = messages[0]?.pinned ? 1 : 0;
+  while (lines.slice(start).join('\n\n').length > budget && start < lines.length - 1) lines.splice(start, 1);
+
+  const resp = await LLM_PROVIDERS[provider].chat({
+    ...providerSettings(provider),
+    model,
+    messages: [{ role: 'system', content: SUMMARY_PROMPT }, { role: 'user', content: lines.join('\n\n') }],
+    contextWindow: limit,
+    signal,
+  });
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  let summary = '';
+  for await (const event of LLM_PROVIDERS[provider].streamEvents(resp)) {
+    if (event.type === 'delta') summary += event.content;
+  }
+  if (!summary.trim()) throw new Error('empty summary');
+  return summary.trim();
+}
+
+/**
+ * Condense older turns into a pinned summary. Returns { messages, summary,
+ * replaces } — `replaces` is how many leading messages the summary stands
+ * for — or null when there is nothing older than the latest turn.
+ */
+async function compactHistory({ provider, model, messages, limit, signal }) {
+  const turnStarts = messages
+    .map((m, i) => (m.role === 'user' && !m.pinned && !m.content?.startsWith(ACTION_RESULT_PREFIX) ? i : -1))
+    .filter(i => i >= 0);
+  let keepFrom = turnStarts.at(-1) ?? messages.length;
+  let kept = messages.slice(keepFrom).reduce((sum, m) => sum + messageTokens(m), 0);
+  for (let t = turnStarts.length - 2; t >= 0; t--) {
+    const cost = messages.slice(turnStarts[t], keepFrom).reduce((sum, m) => sum + messageTokens(m), 0);
+    if (kept + cost > limit * CONTEXT_KEEP) break;
+    kept += cost;
+    keepFrom = turnStarts[t];
+  }
+  const older = messages.slice(0, keepFrom);
+  if (!older.some(m => !m.pinned)) return null;
+
+  const content = await summarizeMessages({ provider, model, messages: older, limit, signal });
+  const summary = { role: 'system', pinned: true, content };
+  return { messages: [summary, ...messages.slice(keepFrom)], summary, replaces: keepFrom };
+}
+
+/**
+ * Start a streaming chat request. Ollama gets earlier tool calls back in its
+ * native form; OpenAI-compatible servers see them as action tags, since their
+ * protocol would require a tool-role reply for every call and results come
+ * back to us as plain user messages.
+ */
+function requestChat({ provider, model, messages, useTools, contextWindow, signal }) {
+  // A pinned summary of condensed turns rides along in the system prompt
+  const summaries = messages.filter(m => m.pinned).map(m => m.content);
+  const recent = messages.filter(m => !m.pinned);
+  const history = useTools && provider === 'ollama' ? recent : toLegacyMessages(recent);
+  const system = buildSystemPrompt(useTools)
+    + (summaries.length ? `\n\nSUMMARY OF THE EARLIER CONVERSATION (older messages were condensed to fit the context window):\n${summaries.join('\n\n')}` : '');
+  return LLM_PROVIDERS[provider].chat({
+    ...providerSettings(provider),
+    model,
+    messages: [{ role: 'system', content: system }, ...history],
+    tools: useTools ? CHAT_TOOLS : null,
+    contextWindow,
+    signal,
+  });
+}
+
+// Body: { messages, provider?, model? } — a session can pick its own provider and model.
+// The response is an SSE stream of { type: 'context' | 'delta' | 'action' | 'error' | 'done' } events.
+app.post('/api/chat', async (req, res) => {
+  let messages = Array.isArray(req.body.messages) ? req.body.messages : [];
+  const provider = LLM_PROVIDERS[req.body.provider] ? req.body.provider : PROVIDER;
+  const model = req.body.model || MODEL;
+  const { label } = LLM_PROVIDERS[provider];
+  const toolsKey = `${provider}:${model}`;
+  const abort = new AbortController();
+  res.on('close', () => abort.abort());
+
+  const limit = await contextWindow(provider, model);
+  let context = contextUsage(messages, limit);
+  if (context.used > limit * CONTEXT_SUMMARIZE_AT) {
+    try {
+      const compacted = await compactHistory({ provider, model, messages, limit, signal: abort.signal });
+      if (compacted) {
+        messages = compacted.messages;
+        context = { ...contextUsage(messages, limit), summary: compacted.summary, replaces: compacted.replaces };
+        console.log(`  Condensed ${compacted.replaces} earlier messages for ${model} (${context.used}/${limit} tokens)`);
+      }
+    } catch (err) {
+      if (abort.signal.aborted) return;
+      console.warn(`  ⚠  Could not summarize the conversation: ${err.message}`);
+    }
+  }
 
+  let resp;
   try {
-    const resp = await fetch(`${OLLAMA_URL}/api/chat`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: MODEL,
-        messages: ollamaMessages,
-        stream: true,
-      }),
-    });
+    let useTools = !modelsWithoutTools.has(toolsKey);
+    resp = await requestChat({ provider, model, messages, useTools, contextWindow: limit, signal: abort.signal });
 
-    if (!resp.ok) {
+    // Older models and servers reject the tools field — remember that and retry with text tags
+    if (!resp.ok && useTools) {
       const errText = await resp.text();
-      return res.status(502).json({ error: 'Ollama error', detail: errText });
+      if (!LLM_PROVIDERS[provider].toolsUnsupported(errText)) {
+        return res.status(502).json({ error: `${label} error`, detail: errText });
+      }
+      console.log(`  Model ${model} (${label}) has no tool support, falling back to [ACTION:...] tags.`);
+      modelsWithoutTools.add(toolsKey);
+      useTools = false;
+      resp = await requestChat({ provider, model, messages, useTools, contextWindow: limit, signal: abort.signal });
     }
 
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-
-    const reader = resp.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-    let clientClosed = false;
+    if (!resp.ok) {
+      const errText = await resp.text();
+      return res.status(502).json({ error: `${label} error`, detail: errText });
+    }
+  } catch (err) {
+    if (abort.signal.aborted) return;
+    return res.status(502).json({ error: `Cannot reach ${label}`, detail: err.message });
+  }
 
-    req.on('close', () => { clientClosed = true; reader.cancel().catch(() => {}); });
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  const send = event => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  send({ type: 'context', ...context });
 
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done || clientClosed) break;
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-      for (const line of lines) {
-        if (!line.trim()) continue;
-        try {
-          const parsed = JSON.parse(line);
-          res.write(`data: ${JSON.stringify(parsed)}\n\n`);
-          if (parsed.done) {
-            res.write('data: [DONE]\n\n');
-          }
-        } catch { /* skip malformed */ }
+  try {
+    for await (const event of LLM_PROVIDERS[provider].streamEvents(resp)) {
+      if (event.type === 'usage') {
+        // The backend's own count replaces the estimate once the reply is done
+        send({ type: 'context', used: event.promptTokens + event.completionTokens, limit, measured: true });
+      } else if (event.type === 'tool_call') {
+        // Each tool call becomes a structured action event for the UI to render as a card
+        const action = toolCallToAction(event.call);
+        if (action) send({ type: 'action', action, tool_call: event.call });
+      } else {
+        send(event);
       }
     }
-    if (!clientClosed) res.end();
   } catch (err) {
-    res.status(500).json({ error: 'Server error', detail: err.message });
+    if (abort.signal.aborted) return;
+    send({ type: 'error', message: `${label} stream failed: ${err.message}` });
   }
+  res.end();
 });
 
 // ── Action execution ────────────────────────────────────────────────────────
 
+function recordAudit({ type, target, content, session, client_ip, approved_at, auto_approve_rule, status, exit_code, output, action_id }) {
+  try {
+    appendAuditEntry({
+      ts: new Date().toISOString(),
+      type,
+      target: target ?? null,
+      content_sha256: content ? sha256(content) : null,
+      session,
+      client_ip,
+      approved_at,
+      auto_approve_rule: auto_approve_rule || null,
+      status,
+      exit_code: exit_code ?? null,
+      output_bytes: output == null ? 0 : Buffer.byteLength(String(output)),
+      action_id: action_id || null,
+    });
+  } catch (err) {
+    console.error(`  ⚠  Failed to write audit log: ${err.message}`);
+  }
+}
+
+// Query the audit log: ?from=&to= (ISO times), ?type=, ?path= (substring of target), ?session=, ?limit=
+app.get('/api/audit', (req, res) => {
+  const { from, to, type, path, session } = req.query;
+  const range = [from, to].map(t => t ? new Date(t) : null);
+  if (range.some(d => d && isNaN(d))) return res.status(400).json({ error: 'from/to must be valid dates' });
+  const [since, until] = range.map(d => d?.toISOString());
+  const limit = Math.min(parseInt(req.query.limit, 10) || 200, 5000);
+  const matches = readAuditEntries().filter(e =>
+    !e.invalid &&
+    (!since || e.ts >= since) &&
+    (!until || e.ts <= until) &&
+    (!type || e.type === type) &&
+    (!path || String(e.target || '').includes(path)) &&
+    (!session || e.session === session));
+  res.json({ total: matches.length, entries: matches.slice(-limit).reverse() });
+});
+
+app.get('/api/audit/verify', (_req, res) => {
+  res.json(verifyAuditLog());
+});
+
+// Preview a proposed WRITE_FILE before approval: whether the file is new,
+// whether the target is writable, and a unified diff against what's on disk.
+app.post('/api/preview', (req, res) => {
+  let { type, target, content } = req.body;
+  if (type !== 'WRITE_FILE') return res.status(400).json({ error: `Preview is not supported for ${type}` });
+  if (!target) return res.status(400).json({ error: 'No target provided' });
+  if (!target.startsWith('/')) target = join(process.cwd(), target);
+
+  const access = checkPathAccess(target, 'write');
+  const newFile = !existsSync(access.path);
+  const preview = { target, path: access.path, new_file: newFile, writable: access.ok, reason: access.reason, diff: null, too_large: false };
+
+  // Never show the contents of a denied or unreadable file in the diff
+  if (!newFile && checkPathAccess(target, 'read').ok) {
+    try {
+      const diff = unifiedDiff(readFileSync(access.path, 'utf-8'), content || '', `${target} (current)`, `${target} (proposed)`);
+      preview.diff = diff;
+      preview.too_large = diff === null;
+    } catch (err) {
+      preview.reason = preview.reason || `Could not read current file: ${err.message}`;
+    }
+  }
+  res.json(preview);
+});
+
 app.post('/api/execute', (req, res) => {
   let { type, target, content } = req.body;
+  const audit = {
+    type,
+    content,
+    session: req.body.sessionId || null,
+    client_ip: req.ip || req.socket.remoteAddress || null,
+    approved_at: req.body.approvedAt || new Date().toISOString(),
+  };
+
+  // Every outcome — including denials and policy blocks — is written to the audit log before replying
+  const reply = (payload, exitCode = null) => {
+    const status = payload.status === 'running' ? 'started' : payload.policy ? 'blocked' : payload.success ? 'success' : 'failed';
+    recordAudit({ ...audit, target, status, exit_code: exitCode, output: payload.result, action_id: payload.actionId });
+    return res.json(payload);
+  };
 
   // Resolve relative paths to absolute (only for file-based actions)
-  if (type !== 'RUN_CMD' && target && !target.startsWith('/')) {
+  if (!['RUN_CMD', 'OPENCLAW', 'SAVE_RUNBOOK'].includes(type) && target && !target.startsWith('/')) {
     target = join(process.cwd(), target);
   }
 
+  // Sent without a click: a rule must still cover it now
+  if (req.body.autoApproved) {
+    const rule = findAutoApproveRule(type, target, audit.session);
+    if (!rule) {
+      return reply({ success: false, notAutoApproved: true, result: 'No auto-approve rule covers this action any more. Approve it by hand to run it.' });
+    }
+    audit.auto_approve_rule = `${rule.scope}:${rule.id}`;
+  }
+
   try {
     switch (type) {
       case 'READ_FILE': {
-        if (!isPathReadable(target)) {
-          return res.json({ success: false, result: `Access denied: "${target}" is outside allowed read paths.` });
+        const access = checkPathAccess(target, 'read');
+        if (!access.ok) {
+          return reply({ success: false, result: `Access denied: ${access.reason}.` });
         }
-        if (!existsSync(target)) {
-          return res.json({ success: false, result: `File not found: ${target}` });
+        if (!existsSync(access.path)) {
+          return reply({ success: false, result: `File not found: ${target}` });
         }
-        const data = readFileSync(target, 'utf-8');
-        return res.json({ success: true, result: data });
+        const data = readFileSync(access.path, 'utf-8');
+        return reply({ success: true, result: data });
       }
 
-      case 'RUN_CMD': {
-        if (isCommandBlocked(target)) {
-          return res.json({ success: false, result: `Blocked: "${target}" matches a dangerous command pattern. MiddleClaw refuses to run it.` });
+      case 'LIST_DIR': {
+        const access = checkPathAccess(target, 'read');
+        if (!access.ok) {
+          return reply({ success: false, result: `Access denied: ${access.reason}.` });
+        }
+        if (!existsSync(access.path)) {
+          return reply({ success: false, result: `Directory not found: ${target}` });
+        }
+        if (!statSync(access.path).isDirectory()) {
+          return reply({ success: false, result: `Not a directory: ${target}` });
         }
+        return reply({ success: true, result: listDirectory(access.path) });
+      }
 
-        // Check if this is a long-running command (openclaw agent, complex operations)
-        const isAsyncCommand = target.includes('openclaw agent') || target.includes('openclaw --message') ||
-                               target.includes('openclaw --to') || target.length > 200;
+      case 'TAIL_FILE': {
+        // target = file, content = "lines=N bytes=N ignore_case=true filter=REGEX" (all optional)
+        const access = checkPathAccess(target, 'read');
+        if (!access.ok) {
+          return reply({ success: false, result: `Access denied: ${access.reason}.` });
+        }
+        if (!existsSync(access.path)) {
+          return reply({ success: false, result: `File not found: ${target}` });
+        }
+        if (!statSync(access.path).isFile()) {
+          return reply({ success: false, result: `Not a regular file: ${target}` });
+        }
+        const opts = parseActionOptions(content, ['lines', 'bytes', 'ignore_case'], 'filter');
+        const filter = opts.filter ? optionRegExp(opts.filter, opts.ignore_case) : null;
+        const tail = tailFile(access.path, {
+          lines: optionCount('lines', opts.lines, TAIL_DEFAULT_LINES, TAIL_MAX_LINES),
+          bytes: optionCount('bytes', opts.bytes, null, TAIL_MAX_BYTES),
+          filter,
+        });
+        const notes = [];
+        if (filter && !tail.lines.length) notes.push(`No lines match ${filter}.`);
+        if (!tail.complete) notes.push(`[Searched the last ${TAIL_SCAN_BYTES / 1024 / 1024} MB only]`);
+        return reply({ success: true, result: [...tail.lines, ...notes].join('\n') });
+      }
 
-        if (!isAsyncCommand) {
-          // Fast path for quick commands
-          try {
-            const output = execSync(target, {
-              timeout: 30000,
-              maxBuffer: 1024 * 1024,
-              encoding: 'utf-8',
-            });
-            return res.json({ success: true, result: output || '(no output)' });
-          } catch (execErr) {
-            return res.json({
-              success: false,
-              result: execErr.stderr || execErr.stdout || execErr.message,
-            });
-          }
+      case 'SEARCH': {
+        // target = directory or file, content = "glob=NAME max=N ignore_case=true pattern=REGEX"
+        const access = checkPathAccess(target, 'read');
+        if (!access.ok) {
+          return reply({ success: false, result: `Access denied: ${access.reason}.` });
         }
+        if (!existsSync(access.path)) {
+          return reply({ success: false, result: `Path not found: ${target}` });
+        }
+        const opts = parseActionOptions(content, ['glob', 'max', 'ignore_case'], 'pattern');
+        if (!opts.pattern) {
+          return reply({ success: false, result: 'No search pattern provided.' });
+        }
+        const pattern = optionRegExp(opts.pattern, opts.ignore_case);
+        const found = searchFiles(access.path, pattern, {
+          glob: opts.glob,
+          max: optionCount('max', opts.max, SEARCH_DEFAULT_MATCHES, SEARCH_MAX_MATCHES),
+        });
+        const summary = [`${found.matches.length} match${found.matches.length === 1 ? '' : 'es'} in ${found.filesMatched} of ${found.files} files searched.`];
+        if (found.truncated) summary.push(found.files >= SEARCH_MAX_FILES ? `Stopped after ${SEARCH_MAX_FILES} files; narrow the path or glob.` : 'Stopped at the match limit; there may be more.');
+        if (found.tooLarge) summary.push(`Skipped ${found.tooLarge} files over ${SEARCH_MAX_FILE_BYTES / 1024 / 1024} MB (use TAIL_FILE with a filter for those).`);
+        return reply({ success: true, result: [...found.matches, '', ...summary].join('\n').trim() });
+      }
 
-        // Async path for long-running commands
-        const actionId = generateActionId();
-        const outputPath = getActionOutputPath(actionId);
-        const errorPath = getActionErrorPath(actionId);
+      case 'RUN_CMD': {
+        const decision = checkCommandPolicy(target);
+        if (!decision.allowed) {
+          return reply({ success: false, result: `Blocked by command policy: ${describePolicyBlock(decision)}. MiddleClaw refuses to run it.`, policy: decision });
+        }
 
-        pendingActions.set(actionId, {
+        // Long-running commands run in the background; the conversation carries on without
+        // waiting for them. OpenClaw calls should come in as
+        // OPENCLAW actions, but a model may still spell them out as commands.
+        const background = target.includes('openclaw agent') || target.includes('openclaw --message') ||
+                           target.includes('openclaw --to') || target.length > 200;
+
+        const actionId = startAction({
           type: 'RUN_CMD',
           target,
-          startedAt: new Date().toISOString(),
-        });
-
-        // Spawn background process to execute command
-        const child = exec(target, {
-          maxBuffer: 1024 * 1024 * 2,
-          encoding: 'utf-8',
-          env: { ...process.env, PATH: process.env.PATH },
-        }, (error, stdout, stderr) => {
-          try {
-            // Consider it an error only if exit code is non-zero
-            const isError = error && error.code !== 0;
-            if (isError) {
-              const errorMsg = error?.message || stderr || stdout || 'Unknown error';
-              console.log(`[Async Action ${actionId}] Error writing to ${errorPath}:`, errorMsg.substring(0, 100));
-              writeFile(errorPath, errorMsg, (writeErr) => {
-                if (writeErr) console.error(`[Async Action ${actionId}] Failed to write error file:`, writeErr.message);
-              });
-            } else {
-              // Success - capture both stdout and stderr
-              const output = (stdout || '') + (stderr || '');
-              console.log(`[Async Action ${actionId}] Success writing to ${outputPath}, ${output.length || 0} bytes`);
-              writeFile(outputPath, output || '(no output)', (writeErr) => {
-                if (writeErr) console.error(`[Async Action ${actionId}] Failed to write output file:`, writeErr.message);
-              });
-            }
-          } catch (err) {
-            console.error(`[Async Action ${actionId}] Exception in callback:`, err.message);
-          }
+          command: target,
+          session: audit.session,
+          client: req.body.clientId || null,
+          timeoutMs: jobTimeoutMs(),
+          background,
+          onExit: outcome => recordAudit({
+            ...audit, target, action_id: actionId, status: auditStatus(outcome), exit_code: outcome.exitCode, output: outcome.result,
+          }),
         });
 
-        child.on('error', (err) => {
-          console.error(`[Async Action ${actionId}] Child process error:`, err.message);
-          writeFile(errorPath, err.message, () => {});
-        });
-
-        return res.json({
+        return reply({
           success: true,
           status: 'running',
           actionId,
-          message: 'Command started. Result will be delivered when complete.',
+          background,
+          message: 'Command started. Output is streamed as it runs.',
+        });
+      }
+
+      case 'OPENCLAW': {
+        // target = operation, content = "key=value ... message=text" for agent and send
+        const op = OPENCLAW_OPS[target];
+        if (!op) {
+          return reply({ success: false, result: `Unknown OpenClaw operation "${target}". Use one of: ${Object.keys(OPENCLAW_OPS).join(', ')}.` });
+        }
+        const opts = parseActionOptions(content, op.options, op.rest || 'message');
+        const argv = op.argv(opts);
+        const bin = openclawBinary();
+        const commandLine = formatCommandLine(['openclaw', ...argv]);
+        const decision = checkCommandPolicy(commandLine);
+        if (!decision.allowed) {
+          return reply({ success: false, result: `Blocked by command policy: ${describePolicyBlock(decision)}.`, policy: decision });
+        }
+        // npm installs openclaw as a .cmd shim on Windows, and those only run through cmd.exe
+        let command = bin, args = argv;
+        if (process.platform === 'win32') {
+          if (argv.some(a => /["%\r\n]/.test(a))) {
+            return reply({ success: false, result: 'On Windows, OpenClaw arguments cannot contain ", % or line breaks.' });
+          }
+          command = [bin, ...argv].map(a => `"${a}"`).join(' ');
+          args = null;
+        }
+        const actionId = startAction({
+          type: 'OPENCLAW',
+          target: commandLine,
+          command,
+          args,
+          session: audit.session,
+          client: req.body.clientId || null,
+          timeoutMs: jobTimeoutMs(),
+          background: !!op.background,
+          parseOutput: stdout => {
+            const data = normalizeOpenclawOutput(target, stdout, opts);
+            return data && { data, text: describeOpenclawOutput(data) };
+          },
+          onExit: outcome => recordAudit({
+            ...audit, target, action_id: actionId, status: auditStatus(outcome), exit_code: outcome.exitCode, output: outcome.result,
+          }),
         });
+        return reply({ success: true, status: 'running', actionId, background: !!op.background, message: `Running ${commandLine}` });
       }
 
       case 'RUN_SCRIPT': {
         // target = path to script, content = optional arguments
-        if (!isPathReadable(target)) {
-          return res.json({ success: false, result: `Access denied: "${target}" is outside allowed read paths.` });
+        const access = checkPathAccess(target, 'read');
+        if (!access.ok) {
+          return reply({ success: false, result: `Access denied: ${access.reason}.` });
         }
-        if (!existsSync(target)) {
-          return res.json({ success: false, result: `Script not found: ${target}` });
+        if (!existsSync(access.path)) {
+          return reply({ success: false, result: `Script not found: ${target}` });
         }
+        // Run the resolved script so a symlink can't be swapped between check and exec
+        target = access.path;
         // Determine shell based on OS and file extension
         let shell;
         const ext = target.split('.').pop().toLowerCase();
@@ -1211,50 +5497,68 @@ app.post('/api/execute', (req, res) => {
           shell = `bash "${target}"`;
         }
         const fullCmd = content ? `${shell} ${content}` : shell;
-        if (isCommandBlocked(fullCmd)) {
-          return res.json({ success: false, result: `Blocked: script execution matches a dangerous command pattern.` });
-        }
-        try {
-          const output = execSync(fullCmd, {
-            timeout: 120000,
-            maxBuffer: 1024 * 1024 * 2,
-            encoding: 'utf-8',
-            cwd: dirname(target),
-          });
-          return res.json({ success: true, result: output || '(no output)' });
-        } catch (execErr) {
-          return res.json({
-            success: false,
-            result: execErr.stderr || execErr.stdout || execErr.message,
-          });
+        const decision = checkCommandPolicy(fullCmd);
+        if (!decision.allowed) {
+          return reply({ success: false, result: `Blocked by command policy: ${describePolicyBlock(decision)}.`, policy: decision });
         }
+        const actionId = startAction({
+          type: 'RUN_SCRIPT',
+          target,
+          command: fullCmd,
+          cwd: dirname(target),
+          session: audit.session,
+          client: req.body.clientId || null,
+          timeoutMs: jobTimeoutMs(),
+          onExit: outcome => recordAudit({
+            ...audit, target, action_id: actionId, status: auditStatus(outcome), exit_code: outcome.exitCode, output: outcome.result,
+          }),
+        });
+        return reply({ success: true, status: 'running', actionId, background: false, message: 'Script started. Output is streamed as it runs.' });
       }
 
       case 'WRITE_FILE': {
-        if (!isPathWritable(target)) {
-          return res.json({ success: false, result: `Access denied: "${target}" is outside allowed write paths.` });
+        const access = checkPathAccess(target, 'write');
+        if (!access.ok) {
+          return reply({ success: false, result: `Access denied: ${access.reason}.` });
         }
-        const dir = dirname(target);
+        const dir = dirname(access.path);
         if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-        const backup = backupFile(target);
-        writeFileSync(target, content, 'utf-8');
+        const backup = backupFile(access.path);
+        writeFileSync(access.path, content, 'utf-8');
         const msg = backup
           ? `File written. Backup saved to: ${backup}`
           : `File created at: ${target}`;
-        return res.json({ success: true, result: msg });
+        return reply({ success: true, result: msg });
+      }
+
+      case 'SAVE_RUNBOOK': {
+        // target = runbook name, content = JSON { description, params, steps }
+        let definition;
+        try {
+          definition = JSON.parse(content || '{}');
+        } catch (err) {
+          return reply({ success: false, result: `Runbook definition is not valid JSON: ${err.message}` });
+        }
+        const existing = readRunbook(runbookId(target));
+        const runbook = validateRunbook({ ...definition, name: target }, existing);
+        writeRunbook(runbook);
+        return reply({
+          success: true,
+          result: `${existing ? 'Replaced' : 'Saved'} runbook "${runbook.name}" (${runbook.steps.length} step${runbook.steps.length === 1 ? '' : 's'}) as ${getRunbookPath(runbook.id)}. The user can run it from the Runbooks panel.`,
+        });
       }
 
       default:
-        return res.json({ success: false, result: `Unknown action type: ${type}` });
+        return reply({ success: false, result: `Unknown action type: ${type}` });
     }
   } catch (err) {
-    res.json({ success: false, result: `Error: ${err.message}` });
+    reply({ success: false, result: `Error: ${err.message}` });
   }
 });
 
 // ── Start ───────────────────────────────────────────────────────────────────
 
-const server = app.listen(PORT, () => {
+let server = app.listen(PORT, () => {
   console.log(`\n  [+] MiddleClaw is running at http://localhost:${PORT}\n`);
   console.log(`  Ollama endpoint: ${OLLAMA_URL}`);
   console.log(`  Model: ${MODEL}`);
@@ -1264,7 +5568,9 @@ const server = app.listen(PORT, () => {
   console.log(`\n  Tip: Run with -i to reconfigure, or -y to skip setup.\n`);
 });
 
-server.on('error', (err) => {
+server.on('error', handleServerError);
+
+function handleServerError(err) {
   if (err.code === 'EADDRINUSE') {
     console.error(`\n  ❌ Port ${PORT} is already in use.`);
     console.error(`  Try: PORT=4000 npm start\n`);
@@ -1272,27 +5578,31 @@ server.on('error', (err) => {
     console.error(`\n  ❌ Server error: ${err.message}\n`);
   }
   process.exit(1);
-});
+}
 
 // ── WebSocket: Realtime STT Proxy (ElevenLabs Scribe v2 Realtime) ────────────
 
 const wss = new WebSocketServer({ noServer: true });
 
-server.on('upgrade', (request, socket, head) => {
+server.on('upgrade', handleUpgrade);
+
+function handleUpgrade(request, socket, head) {
   const pathname = new URL(request.url, `http://${request.headers.host}`).pathname;
   if (pathname === '/ws/stt') {
+    if (!authenticateRequest(request)) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Bearer realm="MiddleClaw"\r\nConnection: close\r\n\r\n');
+      return socket.destroy();
+    }
     wss.handleUpgrade(request, socket, head, (ws) => {
       wss.emit('connection', ws, request);
     });
   } else {
     socket.destroy();
   }
-});
+}
 
 wss.on('connection', (clientWs) => {
-  let current = {};
-  try { current = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')); } catch {}
-  const apiKey = current.elevenlabs_api_key;
+  const apiKey = getSecret('elevenlabs_api_key');
 
   if (!apiKey) {
     clientWs.send(JSON.stringify({ error: 'ElevenLabs API key not configured' }));
@@ -1349,7 +5659,25 @@ wss.on('connection', (clientWs) => {
 
 } // end boot()
 
-boot().catch(err => {
-  console.error(`\n  ❌ Startup failed: ${err.message}\n`);
-  process.exit(1);
-});
+if (CMD_VERIFY_AUDIT) {
+  const result = verifyAuditLog();
+  if (result.ok) {
+    console.log(`  ✓ Audit log intact: ${result.entries} entries verified (${AUDIT_LOG_PATH}).`);
+  } else {
+    console.error(`  ✗ Audit log verification FAILED at line ${result.error.line}: ${result.error.message}`);
+  }
+  for (const b of result.breaks.filter(b => b.line !== result.error?.line)) {
+    console.error(`  ✗ Chain break at line ${b.line}: ${b.unreadable_lines} unreadable line(s), recorded at seq ${b.seq}`);
+  }
+  process.exit(result.ok ? 0 : 1);
+} else if (CMD_CHAT) {
+  runTerminalChat().catch(err => {
+    console.error(`\n  ❌ ${err.message}\n`);
+    process.exit(1);
+  });
+} else {
+  boot().catch(err => {
+    console.error(`\n  ❌ Startup failed: ${err.message}\n`);
+    process.exit(1);
+  });
+}